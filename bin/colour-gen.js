@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+// colour-gen: generate colours from the terminal with the server's generation code, no Express.
+//   colour-gen "ocean blue"
+//   colour-gen "ocean blue" --palette 5 --format css
+//   colour-gen --file products.txt --offline --images ./fixtures --format json
+// Queries come from the arguments, --file, or stdin (one per line). Colours are written to
+// stdout; progress and errors go to stderr. Exits 1 if any query failed, 2 on bad usage.
+import fs from 'fs';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { loadDictionariesFromEnv } from '../server/color-names.js';
+import { analyzePaletteFromQuery, paletteSizeRange } from '../server/image-analysis.js';
+import { createCandidateCache } from '../server/candidate-cache.js';
+import { createGenerator, readLanguage, readExtraction, maxStep } from '../server/generator.js';
+import { buildSwatchExport } from '../swatch-export.js';
+
+const outputFormats = ['hex', 'json', 'css', 'gpl'];
+
+const usage = `Usage: colour-gen [options] [query ...]
+
+Options:
+  -p, --palette <n>      Ranked palette of ${paletteSizeRange.min}-${paletteSizeRange.max} colours per query instead of one colour
+  -f, --format <format>  Output: ${outputFormats.join(', ')} (default hex)
+      --file <path>      Read queries from a file, one per line ("-" for stdin)
+      --lang <code>      Query language (en, lt, de, fr, es)
+      --extraction <m>   Pixel extraction: whole or subject
+      --exclude-skin     Drop skin tones from analysed pixels
+      --step <n>         Candidate index, as "Next Colour" steps (default 0)
+      --images <dir>     Analyse images from a local directory instead of searching the web
+      --offline          No network: dictionary colours plus --images only, no vision model
+      --env <path>       Load environment variables from this .env file
+  -v, --verbose          Log analysis progress to stderr
+  -h, --help             Show this help
+
+Without query arguments or --file, queries are read from stdin.`;
+
+function fail(message) {
+    process.stderr.write(`colour-gen: ${message}\n\n${usage}\n`);
+    process.exit(2);
+}
+
+function readOptions() {
+    try {
+        return parseArgs({
+            allowPositionals: true,
+            options: {
+                palette: { type: 'string', short: 'p' },
+                format: { type: 'string', short: 'f', default: 'hex' },
+                file: { type: 'string' },
+                lang: { type: 'string' },
+                extraction: { type: 'string' },
+                'exclude-skin': { type: 'boolean', default: false },
+                step: { type: 'string', default: '0' },
+                images: { type: 'string' },
+                offline: { type: 'boolean', default: false },
+                env: { type: 'string' },
+                verbose: { type: 'boolean', short: 'v', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        return fail(error.message);
+    }
+}
+
+function splitQueries(text) {
+    return text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+async function readQueries(positionals, file) {
+    if (file && file !== '-') return splitQueries(fs.readFileSync(file, 'utf8'));
+    if (positionals.length && !file) return positionals;
+    if (process.stdin.isTTY) return [];
+    let text = '';
+    for await (const chunk of process.stdin) text += chunk;
+    return splitQueries(text);
+}
+
+// Helper: Point the lazily created providers at local images and/or away from the network.
+// Must run before the first generation, when the providers are created from the env.
+function configureEnvironment({ env, images, offline }) {
+    dotenv.config({ path: env || process.env.DOTENV_CONFIG_PATH || '.env', quiet: true });
+    if (images) {
+        process.env.LOCAL_IMAGE_DIR = images;
+        process.env.IMAGE_SEARCH_PROVIDERS = offline ? 'local' : 'local,bing';
+    } else if (offline) {
+        process.env.IMAGE_SEARCH_PROVIDERS = 'local';
+        delete process.env.LOCAL_IMAGE_DIR;
+        delete process.env.LOCAL_IMAGE_MANIFEST;
+    }
+    if (offline) process.env.VISION_PROVIDER = 'none';
+}
+
+// One query to { query, swatches: [{ name, hex, share? }], source } or { query, error }
+async function generateQuery(query, settings, generator) {
+    const { palette, lang, extraction, step } = settings;
+    if (palette) {
+        const result = await analyzePaletteFromQuery(query, { size: palette, lang, extraction });
+        if (!result || !result.colors.length) return { query, error: 'no palette (no usable images)' };
+        const swatches = result.colors.map(({ color, share }) => ({ name: query, hex: color, share }));
+        return { query, swatches, source: 'analyzed_palette' };
+    }
+
+    const { status, body } = await generator.generate({ query, lang, extraction: extraction.mode, excludeSkin: extraction.excludeSkin, step });
+    if (status !== 200) return { query, error: body.error };
+    const colors = Array.isArray(body.colors) ? body.colors : [{ name: query, color: body.color }];
+    const swatches = colors.map((term) => ({ name: colors.length > 1 ? `${query} ${term.name}` : query, hex: term.color }));
+    return { query, swatches, source: body.source };
+}
+
+async function writeOutput(format, results) {
+    const succeeded = results.filter((result) => !result.error);
+    if (format === 'hex') {
+        // One line per query; queries are prefixed when there are several
+        for (const { query, swatches } of succeeded) {
+            const hexes = swatches.map((swatch) => swatch.hex).join(' ');
+            process.stdout.write(results.length > 1 ? `${query}\t${hexes}\n` : `${hexes}\n`);
+        }
+        return;
+    }
+    if (!succeeded.length) return;
+
+    // The other formats are the UI's swatch exports, with every query's colours in one file
+    const title = succeeded.length === 1 ? succeeded[0].query : 'colour-gen';
+    const { blob } = await buildSwatchExport(format, title, succeeded.flatMap((result) => result.swatches));
+    process.stdout.write(Buffer.from(await blob.arrayBuffer()));
+}
+
+async function main() {
+    const { values, positionals } = readOptions();
+    if (values.help) {
+        process.stdout.write(`${usage}\n`);
+        return 0;
+    }
+
+    if (!outputFormats.includes(values.format)) fail(`unknown format "${values.format}"`);
+    const palette = values.palette === undefined ? null : Number(values.palette);
+    if (palette !== null && (!Number.isInteger(palette) || palette < paletteSizeRange.min || palette > paletteSizeRange.max)) {
+        fail(`--palette must be an integer from ${paletteSizeRange.min} to ${paletteSizeRange.max}`);
+    }
+    const step = Number(values.step);
+    if (!Number.isInteger(step) || step < 0 || step > maxStep) fail(`--step must be an integer from 0 to ${maxStep}`);
+    const { lang, error: languageError } = readLanguage(values.lang);
+    if (languageError) fail(languageError);
+    const { extraction, error: extractionError } = readExtraction({ extraction: values.extraction, excludeSkin: values['exclude-skin'] });
+    if (extractionError) fail(extractionError);
+    if (values.images && !fs.existsSync(values.images)) fail(`image directory not found: ${values.images}`);
+
+    // Analysis logs go to stderr with --verbose so stdout stays machine-readable
+    console.log = values.verbose ? console.error : () => {};
+    if (!values.verbose) console.warn = () => {};
+
+    configureEnvironment(values);
+    await loadDictionariesFromEnv();
+
+    const queries = await readQueries(positionals, values.file);
+    if (!queries.length) fail('no queries given');
+
+    const generator = createGenerator({ candidateCache: createCandidateCache() });
+    const settings = { palette, lang, extraction, step };
+    const results = [];
+    for (const query of queries) {
+        try {
+            results.push(await generateQuery(query, settings, generator));
+        } catch (error) {
+            results.push({ query, error: error.message });
+        }
+    }
+
+    for (const { query, error } of results.filter((result) => result.error)) {
+        process.stderr.write(`colour-gen: "${query}": ${error}\n`);
+    }
+    await writeOutput(values.format, results);
+    return results.some((result) => result.error) ? 1 : 0;
+}
+
+process.exitCode = await main();
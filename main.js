@@ -1,11 +1,31 @@
+import { buildSwatchExport } from './swatch-export.js';
+
 const colorInput = document.getElementById('colorInput');
 const generateBtn = document.getElementById('generateBtn');
 const colorPreview = document.getElementById('colorPreview');
 const hexCodeSpan = document.getElementById('hexCode');
+const colorNameSpan = document.getElementById('colorName');
 const similarBtn = document.getElementById('similarBtn');
 const downloadBtn = document.getElementById('downloadBtn');
 const canvas = document.getElementById('canvas');
 const toast = document.getElementById('toast');
+const paletteStrip = document.getElementById('paletteStrip');
+const paletteBtn = document.getElementById('paletteBtn');
+const visionMode = document.getElementById('visionMode');
+const visionWarning = document.getElementById('visionWarning');
+const contrastPanel = document.getElementById('contrastPanel');
+const contrastInput = document.getElementById('contrastInput');
+const contrastRows = document.getElementById('contrastRows');
+const harmonyPanel = document.getElementById('harmonyPanel');
+const harmonyRows = document.getElementById('harmonyRows');
+const harmonyConstrain = document.getElementById('harmonyConstrain');
+const downloadFormat = document.getElementById('downloadFormat');
+const pngSize = document.getElementById('pngSize');
+const downloadScope = document.getElementById('downloadScope');
+const dropZone = document.getElementById('dropZone');
+const imageInput = document.getElementById('imageInput');
+const colorLog = document.getElementById('colorLog');
+const spinner = document.getElementById('loadingSpinner');
 
 const requiredElements = [colorInput, generateBtn, colorPreview, hexCodeSpan, downloadBtn];
 if (requiredElements.some((el) => !el)) {
@@ -15,10 +35,22 @@ if (requiredElements.some((el) => !el)) {
 const apiBase = (import.meta && import.meta.env && import.meta.env.VITE_API_BASE) ? import.meta.env.VITE_API_BASE : '';
 const normalizedApiBase = apiBase.replace(/\/+$/, '');
 const generateEndpoint = normalizedApiBase ? `${normalizedApiBase}/api/generate` : '/api/generate';
+const generateStreamEndpoint = `${generateEndpoint}/stream`;
 const feedbackEndpoint = normalizedApiBase ? `${normalizedApiBase}/api/feedback` : '/api/feedback';
+const paletteEndpoint = normalizedApiBase ? `${normalizedApiBase}/api/palette` : '/api/palette';
+const nameEndpoint = normalizedApiBase ? `${normalizedApiBase}/api/name` : '/api/name';
+const contrastEndpoint = normalizedApiBase ? `${normalizedApiBase}/api/contrast` : '/api/contrast';
+const simulateEndpoint = normalizedApiBase ? `${normalizedApiBase}/api/simulate` : '/api/simulate';
+const harmonyEndpoint = normalizedApiBase ? `${normalizedApiBase}/api/harmony` : '/api/harmony';
+const analyzeImageEndpoint = normalizedApiBase ? `${normalizedApiBase}/api/analyze-image` : '/api/analyze-image';
 
 let currentColor = '';
 let currentQuery = '';
+let currentPalette = [];
+let currentColorName = '';
+let currentSimulation = null;
+// Multi-colour results ({ kind: 'set' | 'gradient', colors }), painted over the preview
+let currentBlend = null;
 let toastTimer = null;
 
 // Helper to ensure valid hex
@@ -33,10 +65,129 @@ function rgbToHex(col) {
 let dislikeStep = 0;
 
 
-// Single-line log for color generation
-function setColorLog(line) {
-    const logDiv = document.getElementById('colorLog');
-    if (logDiv) logDiv.textContent = line || '';
+// Progress log for colour generation, filled from the server's stream events
+const maxColorLogLines = 40;
+
+function clearColorLog() {
+    if (!colorLog) return;
+    colorLog.innerHTML = '';
+    colorLog.hidden = true;
+}
+
+function appendColorLog(line, color = null) {
+    if (!colorLog || !line) return;
+    const item = document.createElement('li');
+    if (color) {
+        const chip = document.createElement('span');
+        chip.className = 'color-log-chip';
+        chip.style.backgroundColor = color;
+        item.appendChild(chip);
+    }
+    item.appendChild(document.createTextNode(line));
+    colorLog.appendChild(item);
+    while (colorLog.children.length > maxColorLogLines) colorLog.firstChild.remove();
+    colorLog.hidden = false;
+    colorLog.scrollTop = colorLog.scrollHeight;
+}
+
+// Show the best candidate so far while generation is still running
+function showRunningBest(color) {
+    if (!color) return;
+    colorPreview.style.backgroundColor = color;
+    colorPreview.classList.add('active', 'provisional');
+    hexCodeSpan.textContent = color;
+}
+
+async function postGeneration(body) {
+    const response = await fetch(generateEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    let data = null;
+    try {
+        data = await response.json();
+    } catch {}
+    return { ok: response.ok, data };
+}
+
+// Helper: Read a Server-Sent Events body, calling onEvent(type, data) for each JSON event
+async function readEventStream(response, onEvent) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value.replace(/\r\n?/g, '\n');
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+            const lines = buffer.slice(0, end).split('\n');
+            buffer = buffer.slice(end + 2);
+            const type = lines.find((line) => line.startsWith('event:'))?.slice(6).trim() || 'message';
+            const data = lines.filter((line) => line.startsWith('data:')).map((line) => line.slice(5).trim()).join('\n');
+            if (data) onEvent(type, JSON.parse(data));
+        }
+    }
+}
+
+// Generate over Server-Sent Events so the log and the running best colour update live.
+// Resolves { ok, data } like postGeneration. The stream is read with fetch rather than
+// EventSource so refusals (401, 429) arrive with their status and error, and are shown
+// rather than retried. Only a browser without streaming, or a connection that cannot be
+// opened, falls back to postGeneration; a stream that drops after opening may already have
+// been charged, so it is reported instead.
+async function streamGeneration(body) {
+    if (typeof ReadableStream === 'undefined' || typeof TextDecoderStream === 'undefined') return postGeneration(body);
+
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(body)) {
+        if (value !== undefined && value !== null) params.set(key, value);
+    }
+    let response;
+    try {
+        response = await fetch(`${generateStreamEndpoint}?${params}`, { headers: { Accept: 'text/event-stream' } });
+    } catch {
+        appendColorLog('Live progress unavailable, waiting for the result...');
+        return postGeneration(body);
+    }
+    if (!response.ok || !response.body) {
+        let data = null;
+        try {
+            data = await response.json();
+        } catch {}
+        return { ok: false, data };
+    }
+
+    let outcome = null;
+    let imagesAnalyzed = 0;
+    const handlers = {
+        status: ({ message }) => appendColorLog(message),
+        search: ({ query, images }) => appendColorLog(`Found ${images} image${images === 1 ? '' : 's'} for "${query}"`),
+        image: ({ colors, mode, error }) => {
+            imagesAnalyzed += 1;
+            if (error || !colors.length) {
+                appendColorLog(`Image ${imagesAnalyzed}: no usable colour`);
+            } else {
+                appendColorLog(`Image ${imagesAnalyzed}: ${colors.join(', ')} (${mode})`, colors[0]);
+            }
+        },
+        candidates: ({ candidates, best }) => {
+            appendColorLog(`${candidates.length} distinct candidate${candidates.length === 1 ? '' : 's'}, best so far ${best || 'none'}`, best);
+            showRunningBest(best);
+        },
+        result: (data) => {
+            outcome = { ok: true, data };
+        },
+        failure: (data) => {
+            outcome = { ok: false, data };
+        }
+    };
+    try {
+        await readEventStream(response, (type, data) => {
+            if (!outcome && handlers[type]) handlers[type](data);
+        });
+    } catch {}
+    return outcome || { ok: false, data: { error: 'Connection lost before the colour arrived, please try again.' } };
 }
 
 // generateColor can now take an options object
@@ -55,6 +206,10 @@ async function generateColor(options = {}) {
     generateBtn.disabled = true;
     generateBtn.textContent = 'Generating...';
     clearColorLog();
+    if (spinner) spinner.style.display = 'flex';
+    showColorName(null);
+    currentBlend = null;
+    applyPreviewBlend();
 
     // Reset steps if this is a fresh generation
     if (!mode) {
@@ -72,26 +227,19 @@ async function generateColor(options = {}) {
 
     try {
         appendColorLog('Requesting color from server...');
-        const response = await fetch(generateEndpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                query,
-                previousColor,
-                mode, // 'refine' or undefined
-                step: step || 0
-            })
+        const { ok, data } = await streamGeneration({
+            query,
+            previousColor,
+            mode, // 'refine' or undefined
+            step: step || 0
         });
 
         if (spinner) spinner.style.display = 'none';
-        if (!response.ok) {
+        colorPreview.classList.remove('provisional');
+        if (!ok) {
             appendColorLog('AI analysis failed.');
             // If backend returns error, show error message in color rectangle
-            let errorMsg = 'AI analysis failed.';
-            try {
-                const errData = await response.json();
-                if (errData && errData.error) errorMsg = errData.error;
-            } catch {}
+            const errorMsg = data && data.error ? data.error : 'AI analysis failed.';
             colorPreview.style.backgroundColor = '#27272a';
             colorPreview.classList.add('active');
             hexCodeSpan.textContent = '';
@@ -126,7 +274,6 @@ async function generateColor(options = {}) {
         appendColorLog('Color generated successfully.');
         if (spinner) spinner.style.display = 'none';
 
-        const data = await response.json();
         if (!data || typeof data.color !== 'string') {
             throw new Error('No color in response');
         }
@@ -143,11 +290,30 @@ async function generateColor(options = {}) {
 
         currentQuery = query;
         currentColor = generatedColor;
+        if (Array.isArray(data.colors) && data.colors.length > 1) {
+            currentBlend = {
+                kind: data.kind,
+                colors: data.kind === 'gradient' ? data.gradient : data.colors.map((term) => term.color)
+            };
+        }
 
         // Update UI
         colorPreview.style.backgroundColor = generatedColor;
+        applyPreviewBlend();
         colorPreview.classList.add('active');
         hexCodeSpan.textContent = generatedColor;
+        loadColorName(generatedColor);
+        loadContrast(generatedColor);
+        loadHarmonies(generatedColor);
+        // Analysed colours come with the candidates' palette. Other results (dictionary or learned
+        // colours) searched no images, so their palette is only fetched when asked for.
+        if (Array.isArray(data.palette) && data.palette.length) {
+            showPalette(data.palette);
+        } else if (mode !== 'refine') {
+            showPalette([]);
+            if (paletteBtn) paletteBtn.hidden = false;
+        }
+        loadSimulation();
         downloadBtn.disabled = false;
         if (similarBtn) {
             similarBtn.disabled = false;
@@ -158,6 +324,7 @@ async function generateColor(options = {}) {
     } catch (err) {
         appendColorLog('Error: ' + (err && err.message ? err.message : 'Unknown error'));
         console.warn('Backend unavailable:', err);
+        colorPreview.classList.remove('provisional');
         // Show error message in color rectangle
         let errorMsg = 'AI analysis failed.';
         colorPreview.style.backgroundColor = '#27272a';
@@ -192,20 +359,379 @@ async function generateColor(options = {}) {
     }
 }
 
-async function sendFeedback(rating) {
-    if (!currentQuery || !currentColor) return;
+// Look up the closest named colour for the current hex
+async function loadColorName(hex) {
+    try {
+        const response = await fetch(`${nameEndpoint}?hex=${encodeURIComponent(hex)}&limit=1`);
+        if (!response.ok) return;
+        const data = await response.json();
+        // Skip stale answers if another colour was generated meanwhile
+        if (hex !== currentColor) return;
+        showColorName(data.matches && data.matches[0]);
+    } catch (err) {
+        console.warn('Colour name unavailable:', err);
+    }
+}
+
+function showColorName(match) {
+    currentColorName = match && match.deltaE < 2 ? match.name : '';
+    if (!colorNameSpan) return;
+    if (!match) {
+        colorNameSpan.textContent = '';
+        colorNameSpan.title = '';
+        return;
+    }
+    // A small deltaE means the generated colour is practically the named one
+    colorNameSpan.textContent = match.deltaE < 2 ? match.name : `≈ ${match.name}`;
+    colorNameSpan.title = `Closest named colour: ${match.name} ${match.hex} (ΔE ${match.deltaE})`;
+}
+
+// Check the colour (as a background) against white, black and the user's text colour
+async function loadContrast(hex) {
+    if (!contrastPanel || !contrastRows) return;
+
+    const params = new URLSearchParams({ hex });
+    const against = contrastInput ? contrastInput.value.trim() : '';
+    if (/^#?[0-9A-Fa-f]{6}$/.test(against)) params.set('against', against);
 
     try {
-        // Handle Like
-        if (rating === 'like') {
-            await fetch(feedbackEndpoint, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ query: currentQuery, color: currentColor, rating })
-            });
+        const response = await fetch(`${contrastEndpoint}?${params}`);
+        if (!response.ok) return;
+        const data = await response.json();
+        if (hex !== currentColor) return;
+        renderContrast(data);
+    } catch (err) {
+        console.warn('Contrast check unavailable:', err);
+    }
+}
 
+function renderContrast(data) {
+    contrastRows.innerHTML = '';
+
+    const badge = (passed) => {
+        const cell = document.createElement('td');
+        cell.textContent = passed ? 'Pass' : 'Fail';
+        cell.className = passed ? 'pass' : 'fail';
+        return cell;
+    };
+
+    for (const check of data.checks) {
+        const row = document.createElement('tr');
+
+        const sample = document.createElement('td');
+        const chip = document.createElement('span');
+        chip.className = 'contrast-sample';
+        chip.style.backgroundColor = data.hex;
+        chip.style.color = check.against;
+        chip.textContent = 'Aa';
+        chip.title = `${check.against} on ${data.hex}`;
+        sample.append(chip, ` ${check.label === 'custom' ? check.against : check.label}`);
+
+        const ratio = document.createElement('td');
+        ratio.textContent = `${check.ratio.toFixed(2)}:1`;
+
+        const apca = document.createElement('td');
+        apca.textContent = `Lc ${Math.abs(check.apca.lc).toFixed(0)}`;
+        apca.title = `APCA ${check.apca.lc} (${check.apca.level})`;
+        apca.className = check.apca.level === 'fail' ? 'fail' : 'pass';
+
+        // Offer the AA variant when the colour fails AA, otherwise the AAA one if needed
+        const fix = document.createElement('td');
+        const suggestion = !check.wcag.aa ? check.suggestions.aa : (!check.wcag.aaa ? check.suggestions.aaa : null);
+        if (suggestion) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'contrast-fix';
+            button.style.backgroundColor = suggestion;
+            button.style.color = check.against;
+            button.textContent = suggestion;
+            button.title = `Passes ${!check.wcag.aa ? 'AA' : 'AAA'} - click to copy`;
+            button.addEventListener('click', (event) => copyToClipboard(suggestion, event));
+            fix.appendChild(button);
+        } else {
+            fix.textContent = check.wcag.aaa ? '—' : 'None';
         }
 
+        row.append(sample, ratio, badge(check.wcag.aa), badge(check.wcag.aaa), apca, fix);
+        contrastRows.appendChild(row);
+    }
+
+    contrastPanel.hidden = false;
+}
+
+const harmonyLabels = {
+    complementary: 'Complementary',
+    analogous: 'Analogous',
+    triadic: 'Triadic',
+    'split-complementary': 'Split complementary',
+    tetradic: 'Tetradic',
+    monochromatic: 'Monochromatic'
+};
+
+// Render every harmony scheme for the colour, optionally kept inside the query's colour range
+async function loadHarmonies(hex) {
+    if (!harmonyPanel || !harmonyRows) return;
+
+    const params = new URLSearchParams({ hex });
+    if (harmonyConstrain && harmonyConstrain.checked && currentQuery) {
+        params.set('query', currentQuery);
+    }
+
+    try {
+        const response = await fetch(`${harmonyEndpoint}?${params}`);
+        if (!response.ok) return;
+        const data = await response.json();
+        if (hex !== currentColor) return;
+        renderHarmonies(data.schemes || {});
+    } catch (err) {
+        console.warn('Harmonies unavailable:', err);
+    }
+}
+
+function renderHarmonies(schemes) {
+    harmonyRows.innerHTML = '';
+
+    for (const [scheme, colors] of Object.entries(schemes)) {
+        const row = document.createElement('div');
+        row.className = 'harmony-row';
+
+        const label = document.createElement('span');
+        label.className = 'harmony-label';
+        label.textContent = harmonyLabels[scheme] || scheme;
+        row.appendChild(label);
+
+        const swatches = document.createElement('div');
+        swatches.className = 'harmony-swatches';
+        for (const color of colors) {
+            const swatch = document.createElement('button');
+            swatch.type = 'button';
+            swatch.className = 'harmony-swatch';
+            swatch.style.backgroundColor = color;
+            swatch.title = `${color} - click to copy`;
+            swatch.setAttribute('aria-label', `Copy ${color}`);
+            swatch.addEventListener('click', (event) => copyToClipboard(color, event));
+            swatches.appendChild(swatch);
+        }
+        row.appendChild(swatches);
+        harmonyRows.appendChild(row);
+    }
+
+    harmonyPanel.hidden = false;
+}
+
+// Colour-vision-deficiency preview: the current colour and palette are simulated server-side
+// and swapped in for display only; copying and exporting still use the real colours.
+async function loadSimulation() {
+    currentSimulation = null;
+    const mode = visionMode ? visionMode.value : 'normal';
+    if (!currentColor || mode === 'normal') {
+        applyVisionMode();
+        return;
+    }
+
+    const requested = getDisplayedColors().join(',');
+    try {
+        const response = await fetch(`${simulateEndpoint}?hex=${encodeURIComponent(requested)}`);
+        if (!response.ok) return;
+        const data = await response.json();
+        // Ignore answers for a colour set that has since changed
+        if (getDisplayedColors().join(',') !== requested) return;
+        currentSimulation = data;
+        applyVisionMode();
+    } catch (err) {
+        console.warn('Vision simulation unavailable:', err);
+    }
+}
+
+// Every colour on screen, in the order sent to /api/simulate (which takes at most 16)
+function getDisplayedColors() {
+    const blend = currentBlend ? currentBlend.colors : [];
+    const colors = [currentColor, ...blend, ...currentPalette.map((entry) => entry.color)];
+    return Array.from(new Set(colors)).slice(0, 16);
+}
+
+function displayColor(hex) {
+    const mode = visionMode ? visionMode.value : 'normal';
+    if (!currentSimulation || mode === 'normal') return hex;
+    const index = currentSimulation.colors.indexOf(hex);
+    const simulation = currentSimulation.simulations[mode];
+    return index >= 0 && simulation ? simulation.colors[index] : hex;
+}
+
+function applyVisionMode() {
+    if (currentColor && !document.getElementById('colorErrorMsg')) {
+        colorPreview.style.backgroundColor = displayColor(currentColor);
+        applyPreviewBlend();
+    }
+    renderPalette();
+
+    if (!visionWarning) return;
+    const mode = visionMode ? visionMode.value : 'normal';
+    const pairs = currentSimulation && mode !== 'normal'
+        ? currentSimulation.simulations[mode].indistinguishable
+        : [];
+    visionWarning.textContent = pairs.length
+        ? `⚠ ${pairs.length} pair${pairs.length === 1 ? '' : 's'} hard to tell apart`
+        : '';
+    visionWarning.title = pairs.map((pair) => `${pair.a} / ${pair.b} (ΔE ${pair.deltaE})`).join('\n');
+}
+
+// Paint multi-colour results over the preview: hard bands for "navy and gold",
+// a smooth blend for "blue to green"
+function applyPreviewBlend() {
+    if (!currentBlend) {
+        colorPreview.style.backgroundImage = '';
+        return;
+    }
+
+    const colors = currentBlend.colors.map(displayColor);
+    if (currentBlend.kind === 'gradient') {
+        colorPreview.style.backgroundImage = `linear-gradient(90deg, ${colors.join(', ')})`;
+        return;
+    }
+    const band = 100 / colors.length;
+    const stops = colors.map((color, i) => `${color} ${i * band}% ${(i + 1) * band}%`);
+    colorPreview.style.backgroundImage = `linear-gradient(90deg, ${stops.join(', ')})`;
+}
+
+function showPalette(colors) {
+    currentPalette = colors;
+    if (paletteBtn) paletteBtn.hidden = true;
+    renderPalette();
+}
+
+// Fetch a ranked palette for the query (a new image search) and render it under the preview
+async function loadPalette(query) {
+    if (!paletteStrip) return;
+    showPalette([]);
+
+    try {
+        const response = await fetch(paletteEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, size: 5 })
+        });
+        if (!response.ok) return;
+
+        const data = await response.json();
+        // Ignore late responses for a query the user has already moved on from
+        if (query !== currentQuery || !data || !Array.isArray(data.colors)) return;
+
+        showPalette(data.colors);
+        loadSimulation();
+    } catch (err) {
+        console.warn('Palette unavailable:', err);
+    }
+}
+
+function renderPalette() {
+    if (!paletteStrip) return;
+    paletteStrip.innerHTML = '';
+
+    for (const entry of currentPalette) {
+        const percent = Math.round(entry.share * 100);
+        const swatch = document.createElement('button');
+        swatch.type = 'button';
+        swatch.className = 'palette-swatch';
+        swatch.style.backgroundColor = displayColor(entry.color);
+        swatch.style.flexGrow = String(Math.max(entry.share, 0.05));
+        swatch.title = `${entry.color} (${percent}%) - click to copy`;
+        swatch.setAttribute('aria-label', `Copy ${entry.color}`);
+        swatch.addEventListener('click', (event) => copyToClipboard(entry.color, event));
+        paletteStrip.appendChild(swatch);
+    }
+
+    paletteStrip.classList.toggle('active', currentPalette.length > 0);
+    updateDownloadScope();
+}
+
+// Palette export is only offered once a palette has loaded
+function updateDownloadScope() {
+    if (!downloadScope) return;
+    const paletteOption = downloadScope.querySelector('option[value="palette"]');
+    if (paletteOption) paletteOption.disabled = currentPalette.length === 0;
+    if (currentPalette.length === 0) downloadScope.value = 'colour';
+}
+
+function copyToClipboard(text, event) {
+    return navigator.clipboard.writeText(text).then(() => {
+        showToast(`Copied ${text}`, event, false);
+    }).catch(err => {
+        console.error('Failed to copy', err);
+        showToast('Failed to copy', event, true);
+    });
+}
+
+// Extract colours from a dropped or selected image. Text in the input is sent along
+// as the question for the vision model ("the jacket", "sky").
+async function analyzeUploadedImage(file) {
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+        showToast('Please choose an image file', null, true);
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('image', file);
+    const query = colorInput ? colorInput.value.trim() : '';
+    if (query) formData.append('query', query);
+
+    if (dropZone) dropZone.classList.add('busy');
+    try {
+        const response = await fetch(analyzeImageEndpoint, { method: 'POST', body: formData });
+        let data = null;
+        try {
+            data = await response.json();
+        } catch {}
+
+        if (!response.ok || !data || typeof data.color !== 'string') {
+            showToast((data && data.error) || 'Image analysis failed', null, true);
+            return;
+        }
+
+        // Prefer the vision model's answer to the user's question when there is one
+        const color = (data.vision && data.vision.colors && data.vision.colors[0]) || data.color;
+
+        let errorSpan = document.getElementById('colorErrorMsg');
+        if (errorSpan) errorSpan.remove();
+
+        // Uploads are not text queries, so they are not fed back into learning or refinement
+        currentQuery = '';
+        currentColor = color;
+        currentBlend = null;
+        applyPreviewBlend();
+
+        colorPreview.style.backgroundColor = color;
+        colorPreview.classList.add('active');
+        hexCodeSpan.textContent = color;
+        loadColorName(color);
+        loadContrast(color);
+        loadHarmonies(color);
+        downloadBtn.disabled = false;
+        if (similarBtn) similarBtn.disabled = true;
+        colorInput.style.borderColor = color;
+
+        currentPalette = Array.isArray(data.colors) ? data.colors : [];
+        renderPalette();
+        loadSimulation();
+    } catch (err) {
+        console.warn('Image upload failed:', err);
+        showToast('Image upload failed', null, true);
+    } finally {
+        if (dropZone) dropZone.classList.remove('busy');
+    }
+}
+
+// rating is 'like' or 'dislike'; implicit marks dislikes inferred from "Next Colour"
+async function sendFeedback(rating, options = {}) {
+    if (!currentQuery || !currentColor) return;
+
+    try {
+        await fetch(feedbackEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query: currentQuery, color: currentColor, rating, implicit: !!options.implicit })
+        });
     } catch (err) {
         console.error('Feedback failed:', err);
     }
@@ -221,6 +747,8 @@ async function generateSimilar() {
     similarBtn.textContent = 'Generating...';
 
     try {
+        // Asking for another colour counts as a weak dislike of this one
+        sendFeedback('dislike', { implicit: true });
         dislikeStep++;
         await generateColor({ previousColor: currentColor, mode: 'refine', step: dislikeStep });
     } finally {
@@ -259,37 +787,39 @@ function forceClientHueShift(hex) {
    I will append it after `const generatedColor = data.color;`
 */
 
-function downloadImage() {
+async function downloadImage() {
     if (!currentColor) return;
 
-    // Create SVG content
-    const svgContent = `<svg xmlns="http://www.w3.org/2000/svg" width="1000" height="1000" viewBox="0 0 1000 1000">
-  <rect width="1000" height="1000" fill="${currentColor}" />
-  <text x="50%" y="50%" font-family="Arial, sans-serif" font-size="80" fill="${getContrastYIQ(currentColor)}" text-anchor="middle" dy=".3em">${currentColor}</text>
-</svg>`;
-
-    // Create Blob
-    const blob = new Blob([svgContent], { type: 'image/svg+xml' });
-    const url = URL.createObjectURL(blob);
+    const format = downloadFormat ? downloadFormat.value : 'svg';
+    const usePalette = downloadScope && downloadScope.value === 'palette' && currentPalette.length > 0;
+    const title = currentQuery || currentColorName || currentColor;
+    const swatches = usePalette
+        ? currentPalette.map((entry, i) => ({
+            name: `${title} ${i + 1}`,
+            hex: entry.color,
+            share: entry.share
+        }))
+        : [{ name: currentColorName || currentColor, hex: currentColor }];
 
-    // Download
-    const link = document.createElement('a');
-    link.download = `swatch-${currentColor.substring(1)}.svg`;
-    link.href = url;
-    link.click();
+    try {
+        const { blob, filename } = await buildSwatchExport(format, title, swatches, {
+            canvas,
+            size: pngSize ? Number(pngSize.value) : 1000
+        });
+        const url = URL.createObjectURL(blob);
 
-    // Cleanup
-    URL.revokeObjectURL(url);
-}
+        // Download
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
 
-// Helper for text contrast in SVG
-function getContrastYIQ(hexcolor) {
-    hexcolor = hexcolor.replace("#", "");
-    var r = parseInt(hexcolor.substr(0, 2), 16);
-    var g = parseInt(hexcolor.substr(2, 2), 16);
-    var b = parseInt(hexcolor.substr(4, 2), 16);
-    var yiq = ((r * 299) + (g * 587) + (b * 114)) / 1000;
-    return (yiq >= 128) ? 'black' : 'white';
+        // Cleanup
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        console.error('Export failed:', err);
+        showToast('Export failed', null, true);
+    }
 }
 
 if (generateBtn && colorInput) {
@@ -299,10 +829,51 @@ if (generateBtn && colorInput) {
     });
 }
 
+if (dropZone && imageInput) {
+    imageInput.addEventListener('change', () => {
+        analyzeUploadedImage(imageInput.files[0]);
+        imageInput.value = '';
+    });
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('dragover');
+    });
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragover');
+        analyzeUploadedImage(e.dataTransfer.files[0]);
+    });
+}
+
 if (downloadBtn) {
     downloadBtn.addEventListener('click', async () => {
         await sendFeedback('like');
-        downloadImage();
+        await downloadImage();
+    });
+}
+
+if (visionMode) {
+    visionMode.addEventListener('change', loadSimulation);
+}
+
+if (contrastInput) {
+    contrastInput.addEventListener('change', () => {
+        if (currentColor) loadContrast(currentColor);
+    });
+}
+
+if (harmonyConstrain) {
+    harmonyConstrain.addEventListener('change', () => {
+        if (currentColor) loadHarmonies(currentColor);
+    });
+}
+
+if (downloadFormat && pngSize) {
+    downloadFormat.addEventListener('change', () => {
+        pngSize.hidden = downloadFormat.value !== 'png';
     });
 }
 
@@ -310,6 +881,12 @@ if (similarBtn) {
     similarBtn.addEventListener('click', generateSimilar);
 }
 
+if (paletteBtn) {
+    paletteBtn.addEventListener('click', () => {
+        if (currentQuery) loadPalette(currentQuery);
+    });
+}
+
 function showToast(message, event, isError = false) {
     if (!toast) return;
 
@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+
+// API keys for other apps. Each key has daily quotas on generations and vision-model calls, and
+// usage is counted per key and UTC day. Only a hash of each key is stored; the key itself is
+// shown once, when issued. Anonymous use from the app's pages is counted per IP address under
+// "anonymous:<ip>", with a smaller quota of its own, and only today's counters are kept for it.
+
+const usageDays = 90;
+const anonymousPrefix = 'anonymous:';
+const usageKinds = { generations: 'generationsPerDay', vision: 'visionPerDay' };
+
+export function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function today(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// Helper: The stored record without its hash, as listed to admins and key holders
+function describeKey({ keyHash, ...record }) {
+    return record;
+}
+
+// store (optional) persists keys and counters: { load() => { keys, usage }, save({ keys, usage }) => Promise }.
+// defaultQuota: { generationsPerDay, visionPerDay } for keys issued without their own; null is unlimited.
+// anonymousQuota: the same for each anonymous IP address.
+export function createApiKeyStore(options = {}) {
+    const {
+        store = null,
+        defaultQuota = { generationsPerDay: 1000, visionPerDay: 200 },
+        anonymousQuota = { generationsPerDay: 200, visionPerDay: 50 }
+    } = options;
+    const saved = store ? store.load() || {} : {};
+    const keys = Array.isArray(saved.keys) ? saved.keys : [];
+    // usage: { accountId: { "YYYY-MM-DD": { generations, vision } } }
+    const usage = saved.usage && typeof saved.usage === 'object' ? saved.usage : {};
+    let anonymousSweptOn = null;
+
+    async function persist() {
+        if (!store) return;
+        try {
+            await store.save({ keys, usage });
+        } catch (error) {
+            console.warn('Failed to persist API keys and usage:', error.message);
+        }
+    }
+
+    // Helper: Drop counters older than keepDays (before today for 0)
+    function pruneUsage(days, now, keepDays = usageDays) {
+        const oldest = today(now - keepDays * 24 * 60 * 60 * 1000);
+        for (const date of Object.keys(days)) {
+            if (date < oldest) delete days[date];
+        }
+    }
+
+    // Helper: Anonymous counters only matter on their day, so once a day the addresses with
+    // none for today are dropped, keeping one entry per address seen today at most
+    function sweepAnonymousUsage(now) {
+        const date = today(now);
+        if (anonymousSweptOn === date) return;
+        anonymousSweptOn = date;
+        for (const id of Object.keys(usage)) {
+            if (id.startsWith(anonymousPrefix) && !usage[id][date]) delete usage[id];
+        }
+    }
+
+    function usedToday(account, now = Date.now()) {
+        const day = usage[account.id]?.[today(now)];
+        return { generations: day?.generations || 0, vision: day?.vision || 0 };
+    }
+
+    function remaining(account, kind, now = Date.now()) {
+        const limit = account.quota[usageKinds[kind]];
+        if (limit === null || limit === undefined) return null;
+        return Math.max(0, limit - usedToday(account, now)[kind]);
+    }
+
+    return {
+        // Returns { key, record }; the plain key cannot be recovered later
+        async issue({ name, quota = {} }, now = Date.now()) {
+            const key = `cg_${crypto.randomBytes(24).toString('base64url')}`;
+            const record = {
+                id: `key_${crypto.randomBytes(6).toString('hex')}`,
+                name,
+                prefix: key.slice(0, 7),
+                keyHash: hashApiKey(key),
+                quota: { ...defaultQuota, ...quota },
+                createdAt: now,
+                revokedAt: null
+            };
+            keys.push(record);
+            await persist();
+            return { key, record: describeKey(record) };
+        },
+
+        // The active key record for a presented key, or null
+        authenticate(key) {
+            if (typeof key !== 'string' || !key) return null;
+            const hash = Buffer.from(hashApiKey(key), 'hex');
+            return keys.find((record) => !record.revokedAt && crypto.timingSafeEqual(Buffer.from(record.keyHash, 'hex'), hash)) || null;
+        },
+
+        async revoke(id, now = Date.now()) {
+            const record = keys.find((candidate) => candidate.id === id);
+            if (!record) return null;
+            if (!record.revokedAt) {
+                record.revokedAt = now;
+                await persist();
+            }
+            return describeKey(record);
+        },
+
+        // Count `amount` uses of kind ("generations" or "vision") for the account, unless that
+        // would exceed its daily quota. Returns false, counting nothing, when it would.
+        async consume(account, kind, amount = 1, now = Date.now()) {
+            const left = remaining(account, kind, now);
+            if (left !== null && left < amount) return false;
+
+            if (account.anonymous) sweepAnonymousUsage(now);
+            const days = usage[account.id] || (usage[account.id] = {});
+            const date = today(now);
+            const day = days[date] || (days[date] = { generations: 0, vision: 0 });
+            day[kind] += amount;
+            pruneUsage(days, now, account.anonymous ? 0 : usageDays);
+            await persist();
+            return true;
+        },
+
+        // Give back `amount` uses counted today by consume(), for work that did not happen
+        async refund(account, kind, amount = 1, now = Date.now()) {
+            const day = usage[account.id]?.[today(now)];
+            if (!day || amount <= 0) return;
+            day[kind] = Math.max(0, day[kind] - amount);
+            await persist();
+        },
+
+        // The account of an anonymous caller at this IP address
+        anonymous(ip) {
+            return { id: `${anonymousPrefix}${ip}`, name: 'Anonymous', anonymous: true, quota: anonymousQuota };
+        },
+
+        // The anonymous quota with today's number of addresses and their combined counters
+        anonymousUsage(now = Date.now()) {
+            const date = today(now);
+            const used = { generations: 0, vision: 0 };
+            let clients = 0;
+            for (const [id, days] of Object.entries(usage)) {
+                if (!id.startsWith(anonymousPrefix) || !days[date]) continue;
+                clients += 1;
+                used.generations += days[date].generations || 0;
+                used.vision += days[date].vision || 0;
+            }
+            return { date, quota: anonymousQuota, clients, used };
+        },
+
+        // Quota, today's counters and the daily history of one account
+        usage(account, now = Date.now()) {
+            const days = usage[account.id] || {};
+            return {
+                key: { id: account.id, name: account.name, prefix: account.prefix },
+                date: today(now),
+                quota: account.quota,
+                used: usedToday(account, now),
+                remaining: { generations: remaining(account, 'generations', now), vision: remaining(account, 'vision', now) },
+                history: Object.keys(days).sort().reverse().map((date) => ({ date, ...days[date] }))
+            };
+        },
+
+        // Every issued key (revoked ones included) with today's counters
+        list(now = Date.now()) {
+            return keys.map((record) => ({ ...describeKey(record), used: usedToday(record, now) }));
+        }
+    };
+}
+
+// API_KEY_GENERATIONS_PER_DAY and API_KEY_VISION_PER_DAY set the quota of keys issued without
+// their own, ANONYMOUS_GENERATIONS_PER_DAY and ANONYMOUS_VISION_PER_DAY that of each anonymous
+// IP address; "unlimited" lifts it.
+export function apiKeyOptionsFromEnv(env = process.env) {
+    const read = (value, fallback) => {
+        if (value === 'unlimited') return null;
+        const number = Number.parseInt(value, 10);
+        return Number.isInteger(number) && number >= 0 ? number : fallback;
+    };
+    return {
+        defaultQuota: {
+            generationsPerDay: read(env.API_KEY_GENERATIONS_PER_DAY, 1000),
+            visionPerDay: read(env.API_KEY_VISION_PER_DAY, 200)
+        },
+        anonymousQuota: {
+            generationsPerDay: read(env.ANONYMOUS_GENERATIONS_PER_DAY, 200),
+            visionPerDay: read(env.ANONYMOUS_VISION_PER_DAY, 50)
+        }
+    };
+}
@@ -0,0 +1,203 @@
+// Candidate cache: ranked colour candidates per (query, analysis query, lang) key, held in an
+// LRU that bounds both memory and the copy persisted in db.json. Entries expire after ttlMs and
+// a sweeper deletes them, rather than only skipping them on read.
+
+const defaults = {
+    ttlMs: 30 * 60 * 1000,
+    maxEntries: 500,
+    maxBytes: 2 * 1024 * 1024,
+    sweepIntervalMs: 5 * 60 * 1000
+};
+
+function serializeEntry(entry) {
+    return {
+        createdAt: entry.createdAt,
+        lastAccessAt: entry.lastAccessAt,
+        candidates: entry.candidates,
+        seen: Array.from(entry.seen),
+        modes: entry.modes,
+        weights: entry.weights,
+        pagesLoaded: entry.pagesLoaded
+    };
+}
+
+function deserializeEntry(key, record) {
+    return {
+        key,
+        createdAt: record.createdAt || 0,
+        lastAccessAt: record.lastAccessAt || record.createdAt || 0,
+        candidates: Array.isArray(record.candidates) ? record.candidates : [],
+        seen: new Set(Array.isArray(record.seen) ? record.seen : []),
+        modes: record.modes && typeof record.modes === 'object' ? record.modes : {},
+        weights: record.weights && typeof record.weights === 'object' ? record.weights : {},
+        pagesLoaded: record.pagesLoaded || 0
+    };
+}
+
+// Size of the entry as stored in db.json
+function measure(key, entry) {
+    return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(serializeEntry(entry)));
+}
+
+// store (optional) persists the cache: { load() => { key: record }, save(records) => Promise }.
+// clock (optional) returns the current time in ms, for tests.
+export function createCandidateCache(options = {}) {
+    const {
+        ttlMs = defaults.ttlMs,
+        maxEntries = defaults.maxEntries,
+        maxBytes = defaults.maxBytes,
+        store = null,
+        clock = Date.now
+    } = options;
+
+    // Map iteration order is the LRU order: least recently used first
+    const slots = new Map();
+    const counters = { hits: 0, misses: 0, evictions: 0, expired: 0 };
+    let totalBytes = 0;
+
+    const isExpired = (entry, now = clock()) => now - entry.createdAt >= ttlMs;
+
+    function put(entry) {
+        remove(entry.key);
+        const bytes = measure(entry.key, entry);
+        slots.set(entry.key, { entry, bytes });
+        totalBytes += bytes;
+    }
+
+    function remove(key) {
+        const slot = slots.get(key);
+        if (!slot) return false;
+        slots.delete(key);
+        totalBytes -= slot.bytes;
+        return true;
+    }
+
+    // Drop least recently used entries until both limits hold (the newest entry always stays)
+    function evict() {
+        let evicted = 0;
+        while (slots.size > 1 && (slots.size > maxEntries || totalBytes > maxBytes)) {
+            remove(slots.keys().next().value);
+            evicted += 1;
+        }
+        counters.evictions += evicted;
+        return evicted;
+    }
+
+    async function persist() {
+        if (!store) return;
+        const records = {};
+        for (const [key, { entry }] of slots) records[key] = serializeEntry(entry);
+        try {
+            await store.save(records);
+        } catch (error) {
+            console.warn('Failed to persist candidate cache:', error.message);
+        }
+    }
+
+    // Restore persisted entries in their old LRU order, skipping expired ones
+    if (store) {
+        const now = clock();
+        const restored = Object.entries(store.load() || {})
+            .map(([key, record]) => deserializeEntry(key, record))
+            .filter((entry) => !isExpired(entry, now))
+            .sort((a, b) => a.lastAccessAt - b.lastAccessAt);
+        restored.forEach(put);
+        evict();
+    }
+
+    return {
+        // Live entry for the key, or null when missing or expired. Counts towards the hit rate.
+        get(key) {
+            const slot = slots.get(key);
+            if (slot && isExpired(slot.entry)) {
+                remove(key);
+                counters.expired += 1;
+            } else if (slot) {
+                counters.hits += 1;
+                slot.entry.lastAccessAt = clock();
+                slots.delete(key);
+                slots.set(key, slot);
+                return slot.entry;
+            }
+            counters.misses += 1;
+            return null;
+        },
+
+        // Empty entry for a key; it is stored by the first save()
+        create(key) {
+            const now = clock();
+            return { key, createdAt: now, lastAccessAt: now, candidates: [], seen: new Set(), modes: {}, weights: {}, pagesLoaded: 0 };
+        },
+
+        async save(entry) {
+            entry.lastAccessAt = clock();
+            put(entry);
+            evict();
+            await persist();
+        },
+
+        // Remove every entry whose key matches; returns how many were removed
+        async purge(matches = () => true) {
+            let purged = 0;
+            for (const key of Array.from(slots.keys())) {
+                if (matches(key) && remove(key)) purged += 1;
+            }
+            if (purged) await persist();
+            return purged;
+        },
+
+        async sweep() {
+            const now = clock();
+            let swept = 0;
+            for (const [key, { entry }] of Array.from(slots)) {
+                if (isExpired(entry, now) && remove(key)) swept += 1;
+            }
+            counters.expired += swept;
+            if (swept) await persist();
+            return swept;
+        },
+
+        // Background sweep that does not keep the process alive. Returns a stop function.
+        startSweeper(intervalMs = defaults.sweepIntervalMs) {
+            const timer = setInterval(() => {
+                this.sweep().then((swept) => {
+                    if (swept) console.log(`Candidate cache: swept ${swept} expired entries`);
+                });
+            }, intervalMs);
+            timer.unref();
+            return () => clearInterval(timer);
+        },
+
+        stats() {
+            const lookups = counters.hits + counters.misses;
+            return {
+                entries: slots.size,
+                bytes: totalBytes,
+                maxEntries,
+                maxBytes,
+                ttlMs,
+                hits: counters.hits,
+                misses: counters.misses,
+                hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null,
+                evictions: counters.evictions,
+                expired: counters.expired
+            };
+        }
+    };
+}
+
+function readPositive(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+// CANDIDATE_CACHE_TTL_MINUTES, CANDIDATE_CACHE_MAX_ENTRIES, CANDIDATE_CACHE_MAX_BYTES and
+// CANDIDATE_CACHE_SWEEP_MINUTES override the defaults.
+export function candidateCacheOptionsFromEnv(env = process.env) {
+    return {
+        ttlMs: readPositive(env.CANDIDATE_CACHE_TTL_MINUTES, defaults.ttlMs / 60000) * 60000,
+        maxEntries: Math.floor(readPositive(env.CANDIDATE_CACHE_MAX_ENTRIES, defaults.maxEntries)),
+        maxBytes: Math.floor(readPositive(env.CANDIDATE_CACHE_MAX_BYTES, defaults.maxBytes)),
+        sweepIntervalMs: readPositive(env.CANDIDATE_CACHE_SWEEP_MINUTES, defaults.sweepIntervalMs / 60000) * 60000
+    };
+}
@@ -0,0 +1,54 @@
+import { hexToLab, hexToOklab, oklabToHex, deltaE2000, parseHexColor } from './color-space.js';
+
+// Candidate colours closer than this (CIEDE2000) are one colour: "#3A5FCD" and "#3B5FCC" are
+// the same vote, and cycling through candidates should not step between them
+export const candidateClusterDeltaE = 6;
+
+// Group weighted colours into perceptual clusters, in first-seen order. Each colour joins the
+// nearest cluster within threshold; a cluster's colour is the weighted OKLab mean of its members.
+// items: [{ color, weight = 1, ...meta }] -> [{ color, weight, members, ...meta of the first member }]
+export function clusterColors(items, threshold = candidateClusterDeltaE) {
+    const clusters = [];
+
+    for (const { color, weight = 1, ...meta } of items) {
+        const hex = parseHexColor(color);
+        if (!hex) continue;
+        const lab = hexToLab(hex);
+
+        let nearest = null;
+        for (const cluster of clusters) {
+            const distance = deltaE2000(cluster.lab, lab);
+            if (distance < threshold && (!nearest || distance < nearest.distance)) nearest = { cluster, distance };
+        }
+
+        if (nearest) {
+            const { cluster } = nearest;
+            const oklab = hexToOklab(hex);
+            const total = cluster.weight + weight;
+            cluster.oklab = cluster.oklab.map((value, i) => (value * cluster.weight + oklab[i] * weight) / total);
+            cluster.weight = total;
+            cluster.members.push(hex);
+            cluster.color = oklabToHex(cluster.oklab);
+            cluster.lab = hexToLab(cluster.color);
+        } else {
+            clusters.push({ ...meta, color: hex, weight, members: [hex], oklab: hexToOklab(hex), lab });
+        }
+    }
+
+    return clusters.map(({ oklab, lab, ...cluster }) => cluster);
+}
+
+// Helper: Index of the colour in the list nearest to hex within threshold, or -1
+export function findSimilarColor(colors, hex, threshold = candidateClusterDeltaE) {
+    const lab = hexToLab(hex);
+    let nearest = -1;
+    let nearestDistance = threshold;
+    colors.forEach((color, index) => {
+        const distance = deltaE2000(hexToLab(color), lab);
+        if (distance < nearestDistance) {
+            nearest = index;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
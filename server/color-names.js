@@ -0,0 +1,387 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hexToHsl, hexToLab, deltaE2000, hueInRange } from './color-space.js';
+import { languages, tokenizeText, foldDiacritics } from './languages.js';
+
+// Colour-name registry shared by the generator and the image analysis.
+// Every entry is { name, hex, range, aliases, source }. Hue ranges use a single representation:
+// [min, max] pairs in HSL wheel degrees (0-360). A pair with min > max wraps through 0
+// (red is [[332, 28]]) and [[0, 360]] means "any hue" (neutrals such as white or gray).
+// Language dictionaries add entries tagged with a `lang`; lookups given that language try its
+// names first, so French "violet" can mean purple without shadowing the English name.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const bundledDictionaries = {
+    css: path.join(__dirname, 'dictionaries', 'css-colors.json')
+};
+
+export const anyHue = [[0, 360]];
+
+// Built-in dictionary. Hue ranges mark the part of the wheel a generated colour may wander in
+// while still reading as that name.
+const builtInColors = {
+    'red': { hex: '#FF0000', range: [[332, 28]] },
+    'green': { hex: '#008000', range: [[85, 155]] },
+    'blue': { hex: '#0000FF', range: [[212, 268]] },
+    'yellow': { hex: '#FFFF00', range: [[42, 78]] },
+    'cyan': { hex: '#00FFFF', range: [[155, 205]] },
+    'magenta': { hex: '#FF00FF', range: [[275, 325]] },
+    'white': { hex: '#FFFFFF', range: anyHue },
+    'black': { hex: '#000000', range: anyHue },
+    'gray': { hex: '#808080', range: anyHue, aliases: ['grey'] },
+    'orange': { hex: '#FFA500', range: [[28, 64]] },
+    'purple': { hex: '#800080', range: [[254, 311]] },
+    'pink': { hex: '#FFC0CB', range: [[311, 353]] },
+    'brown': { hex: '#A52A2A', range: [[0, 42]] },
+    'lime': { hex: '#00FF00', range: [[99, 134]] },
+    'navy': { hex: '#000080', range: [[212, 254]] },
+    'teal': { hex: '#008080', range: [[155, 198]] },
+    'maroon': { hex: '#800000', range: [[339, 14]] },
+    'olive': { hex: '#808000', range: [[56, 99]] },
+    'silver': { hex: '#C0C0C0', range: anyHue },
+    'gold': { hex: '#FFD700', range: [[42, 71]] },
+    'violet': { hex: '#EE82EE', range: [[268, 325]] },
+    'indigo': { hex: '#4B0082', range: [[254, 282]] },
+    'turquoise': { hex: '#40E0D0', range: [[155, 198]] },
+    'beige': { hex: '#F5F5DC', range: [[35, 64]] },
+    'mint': { hex: '#98FF98', range: [[115, 169]] },
+    'lavender': { hex: '#E6E6FA', range: [[240, 282]] },
+    'coral': { hex: '#FF7F50', range: [[14, 42]] },
+    // Artist colours (examples, can be expanded)
+    'carmine red': { hex: '#960018', range: [[350, 10]], aliases: ['carmine'] },
+    'alizarin crimson': { hex: '#E32636', range: [[350, 10]] },
+    'vermilion': { hex: '#E34234', range: [[0, 20]], aliases: ['vermillion'] },
+    'cadmium red': { hex: '#E30022', range: [[350, 10]] },
+    'ultramarine blue': { hex: '#3F00FF', range: [[230, 260]], aliases: ['ultramarine'] },
+    'cerulean blue': { hex: '#2A52BE', range: [[205, 230]] },
+    'prussian blue': { hex: '#003153', range: [[180, 210]] },
+    'phthalo blue': { hex: '#000F89', range: [[220, 250]] },
+    'cobalt blue': { hex: '#0047AB', range: [[210, 230]] },
+    'viridian': { hex: '#40826D', range: [[130, 170]] },
+    'sap green': { hex: '#507D2A', range: [[80, 110]] },
+    'cadmium yellow': { hex: '#FFF600', range: [[50, 60]] },
+    'yellow ochre': { hex: '#CC7722', range: [[30, 45]] },
+    'raw sienna': { hex: '#D68A59', range: [[20, 40]] },
+    'burnt sienna': { hex: '#E97451', range: [[10, 30]] },
+    'raw umber': { hex: '#826644', range: [[20, 40]] },
+    'burnt umber': { hex: '#8A3324', range: [[5, 30]] },
+    'payne grey': { hex: '#536878', range: [[200, 240]], aliases: ['payne gray', 'paynes grey', 'paynes gray'] },
+    'indian yellow': { hex: '#E3A857', range: [[30, 50]] },
+    'quinacridone magenta': { hex: '#8E3A59', range: [[320, 340]] },
+    'permanent rose': { hex: '#E12C6A', range: [[330, 350]] },
+    'dioxazine purple': { hex: '#6A0DAD', range: [[260, 280]] },
+    'pyrrole orange': { hex: '#F76F1C', range: [[20, 40]] },
+    'naples yellow': { hex: '#FADA5E', range: [[45, 55]] },
+    'hooker green': { hex: '#49796B', range: [[140, 170]], aliases: ['hookers green'] },
+    'cerulean': { hex: '#007BA7', range: [[190, 210]] },
+    'manganese blue': { hex: '#1B6F9A', range: [[200, 220]] },
+    'buff titanium': { hex: '#D2C29D', range: [[40, 60]] }
+};
+
+const entries = new Map();
+const aliasIndex = new Map();
+// lang -> Map of name or alias -> entry
+const languageIndex = new Map();
+const sortedNamesCache = new Map();
+
+// Lowercase, drop apostrophes ("payne's grey") and collapse separators to single spaces.
+// Letters of any script are kept ("grün", "бордовый").
+export function normalizeColorName(name) {
+    return tokenizeText(String(name).replace(/['’]/g, '')).join(' ');
+}
+
+function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9A-Fa-f]{6}$/.test(value);
+}
+
+// Validate hue ranges and return a normalized copy. Throws on anything that is not
+// a list of [min, max] degree pairs within 0-360.
+export function validateHueRanges(ranges, label = 'range') {
+    if (!Array.isArray(ranges) || ranges.length === 0) {
+        throw new Error(`Invalid hue ${label}: expected a non-empty array of [min, max] pairs`);
+    }
+    return ranges.map((pair) => {
+        if (!Array.isArray(pair) || pair.length !== 2 || !pair.every((value) => Number.isFinite(value))) {
+            throw new Error(`Invalid hue ${label}: ${JSON.stringify(pair)} is not a [min, max] pair`);
+        }
+        const [min, max] = pair;
+        if (min < 0 || min > 360 || max < 0 || max > 360) {
+            throw new Error(`Invalid hue ${label}: ${JSON.stringify(pair)} is outside 0-360 degrees`);
+        }
+        return [min, max];
+    });
+}
+
+export function isAnyHue(ranges) {
+    return ranges.some(([min, max]) => min <= max && max - min >= 359);
+}
+
+// Helper: Greys, near-blacks and near-whites have no meaningful hue
+function isNeutral(hex) {
+    const [, saturation, lightness] = hexToHsl(hex);
+    return saturation < 10 || lightness < 6 || lightness > 97;
+}
+
+// Derive a hue range for dictionary entries that only give a hex: +-15 degrees around its hue,
+// or any hue for near-neutral colours.
+function deriveHueRange(hex) {
+    const [hue] = hexToHsl(hex);
+    if (isNeutral(hex)) return anyHue;
+    const min = Math.round((hue + 345) % 360);
+    const max = Math.round((hue + 15) % 360);
+    return [[min, max]];
+}
+
+// Validate a definition ("#hex", { hex, range, aliases } or { translates, aliases }) into a
+// registry entry. `translates` names an already registered colour whose hex and range are reused.
+// Names with accents also get an accent-free alias ("žalia" -> "zalia").
+function buildEntry(name, definition, source, lang = null) {
+    const key = normalizeColorName(name);
+    if (!key) throw new Error('Colour name must not be empty');
+
+    const spec = typeof definition === 'string' ? { hex: definition } : { ...(definition || {}) };
+    if (spec.translates !== undefined) {
+        const original = lookupColor(spec.translates);
+        if (!original) throw new Error(`Colour "${name}" translates unknown colour "${spec.translates}"`);
+        spec.hex = spec.hex || original.hex;
+        spec.range = spec.range || original.range;
+    }
+    if (!isHexColor(spec.hex)) {
+        throw new Error(`Invalid hex for colour "${name}": ${JSON.stringify(spec.hex)}`);
+    }
+    if (spec.aliases !== undefined && !Array.isArray(spec.aliases)) {
+        throw new Error(`Invalid aliases for colour "${name}": expected an array`);
+    }
+
+    // A name's own colour must lie in the hues it may wander in, or generated shades drift away from it
+    const range = spec.range ? validateHueRanges(spec.range, `range for "${name}"`) : deriveHueRange(spec.hex);
+    const [hue] = hexToHsl(spec.hex);
+    if (!isNeutral(spec.hex) && !range.some((pair) => hueInRange(hue, pair))) {
+        throw new Error(`Hex ${spec.hex} of colour "${name}" has hue ${Math.round(hue)}, outside its range ${JSON.stringify(range)}`);
+    }
+
+    const aliases = new Set();
+    for (const alias of [key, ...(spec.aliases || []).map(normalizeColorName)]) {
+        if (alias && alias !== key) aliases.add(alias);
+        const folded = foldDiacritics(alias);
+        if (folded && folded !== key) aliases.add(folded);
+    }
+
+    return {
+        name: key,
+        hex: spec.hex.toUpperCase(),
+        range,
+        aliases: Array.from(aliases),
+        source,
+        ...(lang ? { lang } : {}),
+        ...(spec.translates ? { translates: lookupColor(spec.translates).name } : {}),
+        // Ambiguous words ("or" is French for gold) are only matched when the query's language is known
+        ...(spec.languageOnly ? { languageOnly: true } : {})
+    };
+}
+
+function addEntry(entry, override) {
+    if (!override && (entries.has(entry.name) || aliasIndex.has(entry.name))) return false;
+
+    entries.set(entry.name, entry);
+    aliasIndex.delete(entry.name);
+    for (const alias of entry.aliases) {
+        if (override || (!entries.has(alias) && !aliasIndex.has(alias))) {
+            aliasIndex.set(alias, entry.name);
+        }
+    }
+    sortedNamesCache.clear();
+    return true;
+}
+
+function addLanguageEntry(entry) {
+    if (!languageIndex.has(entry.lang)) languageIndex.set(entry.lang, new Map());
+    const index = languageIndex.get(entry.lang);
+    for (const name of [entry.name, ...entry.aliases]) {
+        if (!index.has(name)) index.set(name, entry);
+    }
+    sortedNamesCache.clear();
+}
+
+export function registerColor(name, definition, options = {}) {
+    const { source = 'custom', override = false } = options;
+    return addEntry(buildEntry(name, definition, source), override);
+}
+
+// Register many colours at once. Accepts { name: "#hex" | { hex, range, aliases } }
+// or [{ name, hex, range, aliases }]. The whole dictionary is validated before anything is added.
+// Existing names win unless override is set, so the built-in dictionary keeps its hand-tuned ranges.
+// Language dictionaries (options.lang) always register under their language and are also
+// added globally, so "žalia" is found without a `lang`, unless marked languageOnly. Every word
+// that is also English ("golden", "noir") or another colour elsewhere must be languageOnly, so
+// English queries parse the same with or without the dictionaries (test/languages.test.js).
+export function registerDictionary(source, dictionary, options = {}) {
+    const { override = false, lang = null } = options;
+    const records = Array.isArray(dictionary)
+        ? dictionary.map((item) => [item?.name, item])
+        : Object.entries(dictionary || {});
+
+    const built = records.map(([name, definition]) => buildEntry(name, definition, source, lang));
+    let added = 0;
+    for (const entry of built) {
+        const addedGlobally = !entry.languageOnly && addEntry(entry, override);
+        if (lang) addLanguageEntry(entry);
+        if (addedGlobally || lang) added += 1;
+    }
+    return added;
+}
+
+// Parse the XKCD colour survey's rgb.txt ("name<TAB>#hex" per line, "#" comments)
+export function parseXkcdDictionary(text) {
+    const dictionary = {};
+    for (const line of text.split(/\r?\n/)) {
+        if (!line.trim() || line.startsWith('#')) continue;
+        const [name, hex] = line.split('\t').map((part) => part.trim());
+        if (name && isHexColor(hex)) dictionary[name] = hex;
+    }
+    return dictionary;
+}
+
+// Load a dictionary file into the registry. format: 'json' (team/custom JSON) or 'xkcd' (rgb.txt).
+export async function loadDictionaryFile(filePath, options = {}) {
+    const { format = filePath.endsWith('.txt') ? 'xkcd' : 'json', source = path.basename(filePath), override, lang } = options;
+    const text = await fs.readFile(filePath, 'utf8');
+    const dictionary = format === 'xkcd' ? parseXkcdDictionary(text) : JSON.parse(text);
+    const added = registerDictionary(source, dictionary, { override, lang });
+    console.log(`Loaded ${added} colour names from ${source}`);
+    return added;
+}
+
+// COLOR_LANGUAGES lists the bundled language dictionaries to load (default: all of them,
+// "none" for none). COLOR_DICTIONARIES is a comma-separated list: "css" for the bundled CSS
+// named colours, "xkcd:/path/rgb.txt" for the XKCD survey, or a path to a custom JSON dictionary.
+export async function loadDictionariesFromEnv(env = process.env) {
+    const languageCodes = (env.COLOR_LANGUAGES ?? Object.keys(languages).join(','))
+        .split(',')
+        .map((code) => code.trim().toLowerCase())
+        .filter((code) => code && code !== 'none');
+
+    for (const code of languageCodes) {
+        const language = languages[code];
+        if (!language) {
+            console.warn(`Unknown colour language "${code}"`);
+            continue;
+        }
+        if (!language.dictionary) continue;
+        try {
+            await loadDictionaryFile(path.join(__dirname, 'dictionaries', language.dictionary), { source: code, lang: code });
+        } catch (error) {
+            console.warn(`Failed to load colour dictionary for "${code}":`, error.message);
+        }
+    }
+
+    const specs = (env.COLOR_DICTIONARIES || '')
+        .split(',')
+        .map((spec) => spec.trim())
+        .filter(Boolean);
+
+    for (const spec of specs) {
+        try {
+            if (bundledDictionaries[spec]) {
+                await loadDictionaryFile(bundledDictionaries[spec], { source: spec });
+            } else if (spec.startsWith('xkcd:')) {
+                await loadDictionaryFile(spec.slice(5), { format: 'xkcd', source: 'xkcd' });
+            } else {
+                await loadDictionaryFile(spec, { format: 'json' });
+            }
+        } catch (error) {
+            console.warn(`Failed to load colour dictionary "${spec}":`, error.message);
+        }
+    }
+}
+
+// options.lang tries that language's names first ("violet" is purple in French)
+export function lookupColor(name, options = {}) {
+    const key = normalizeColorName(name);
+    const local = options.lang ? languageIndex.get(options.lang)?.get(key) : null;
+    return local || entries.get(key) || entries.get(aliasIndex.get(key)) || null;
+}
+
+export function getColorEntries() {
+    return Array.from(entries.values());
+}
+
+// All names and aliases, longest first so multi-word names win over their parts
+function getSortedNames(lang = null) {
+    const cacheKey = lang || '';
+    if (!sortedNamesCache.has(cacheKey)) {
+        const names = new Set([...entries.keys(), ...aliasIndex.keys()]);
+        if (lang) {
+            for (const name of languageIndex.get(lang)?.keys() || []) names.add(name);
+        }
+        sortedNamesCache.set(cacheKey, Array.from(names).sort((a, b) => b.length - a.length));
+    }
+    return sortedNamesCache.get(cacheKey);
+}
+
+// Find the longest colour name (or alias) appearing in the text as whole words.
+// Returns the canonical name, e.g. "sunset grey" -> "gray". Pass the same options.lang
+// to lookupColor() to resolve the name back to this entry.
+export function findColorNameInText(text, options = {}) {
+    const normalized = ` ${normalizeColorName(text)} `;
+    for (const name of getSortedNames(options.lang)) {
+        if (normalized.includes(` ${name} `)) {
+            return lookupColor(name, options).name;
+        }
+    }
+    return null;
+}
+
+// Every colour name in the text, left to right, taking the longest name at each position.
+// "navy and gold uniform" -> [{ name: 'navy', match: 'navy' }, { name: 'gold', match: 'gold' }]
+export function findColorNamesInText(text, options = {}) {
+    const words = normalizeColorName(text).split(' ').filter(Boolean);
+    const found = [];
+    let index = 0;
+    while (index < words.length) {
+        let length = words.length - index;
+        for (; length > 0; length--) {
+            const candidate = words.slice(index, index + length).join(' ');
+            const entry = lookupColor(candidate, options);
+            if (entry) {
+                found.push({ name: entry.name, match: candidate });
+                break;
+            }
+        }
+        index += length || 1;
+    }
+    return found;
+}
+
+export function isColorWord(word) {
+    return !!lookupColor(word);
+}
+
+const labCache = new Map();
+
+function getLab(hex) {
+    if (!labCache.has(hex)) labCache.set(hex, hexToLab(hex));
+    return labCache.get(hex);
+}
+
+// Reverse lookup: the registered colours closest to a hex, ranked by CIEDE2000 distance.
+// Names come from the non-language dictionaries, or from options.lang's dictionary.
+export function findNearestColorNames(hex, limit = 5, options = {}) {
+    const { lang = null } = options;
+    const target = hexToLab(hex);
+    const candidates = lang
+        ? Array.from(new Set(languageIndex.get(lang)?.values() || []))
+        : getColorEntries().filter((entry) => !entry.lang);
+    return candidates
+        .map((entry) => ({
+            name: entry.name,
+            hex: entry.hex,
+            source: entry.source,
+            deltaE: deltaE2000(target, getLab(entry.hex))
+        }))
+        .sort((a, b) => a.deltaE - b.deltaE)
+        .slice(0, limit);
+}
+
+registerDictionary('builtin', builtInColors);
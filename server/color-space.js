@@ -0,0 +1,305 @@
+// Shared colour-space maths: sRGB <-> linear sRGB <-> OKLab/OKLCH, plus CIE XYZ/CIELAB (D65).
+// Conventions: sRGB triples are 0-255, linear and XYZ values are 0-1, OKLab L is 0-1,
+// CIELAB L is 0-100 and every hue is in degrees [0, 360).
+
+// Helper: Parse "#RRGGBB" (or "RRGGBB") into [r, g, b]
+export function hexToRgb(hex) {
+    const clean = hex.replace('#', '');
+    return [
+        parseInt(clean.substring(0, 2), 16),
+        parseInt(clean.substring(2, 4), 16),
+        parseInt(clean.substring(4, 6), 16)
+    ];
+}
+
+// Helper: Format [r, g, b] as "#RRGGBB", rounding and clamping each channel
+export function rgbToHex(rgb) {
+    const [r, g, b] = rgb.map((value) => Math.min(255, Math.max(0, Math.round(value))));
+    return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
+}
+
+export function normalizeHue(hue) {
+    return ((hue % 360) + 360) % 360;
+}
+
+// sRGB transfer function, per channel (0-1)
+export function srgbToLinear(value) {
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+export function linearToSrgb(value) {
+    return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+}
+
+export function rgbToLinear(rgb) {
+    return rgb.map((value) => srgbToLinear(value / 255));
+}
+
+export function linearToRgb(linear) {
+    return linear.map((value) => linearToSrgb(value) * 255);
+}
+
+// OKLab (Björn Ottosson, 2020)
+export function linearToOklab([r, g, b]) {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+export function oklabToLinear([L, a, b]) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+}
+
+export function oklabToOklch([L, a, b]) {
+    const C = Math.sqrt(a * a + b * b);
+    // Hue is meaningless for neutrals; report 0 rather than floating-point noise
+    const h = C < 1e-4 ? 0 : normalizeHue(Math.atan2(b, a) * 180 / Math.PI);
+    return [L, C, h];
+}
+
+export function oklchToOklab([L, C, h]) {
+    const radians = h * Math.PI / 180;
+    return [L, C * Math.cos(radians), C * Math.sin(radians)];
+}
+
+export function hexToOklab(hex) {
+    return linearToOklab(rgbToLinear(hexToRgb(hex)));
+}
+
+export function hexToOklch(hex) {
+    return oklabToOklch(hexToOklab(hex));
+}
+
+function isLinearInGamut(linear, epsilon = 1e-6) {
+    return linear.every((value) => value >= -epsilon && value <= 1 + epsilon);
+}
+
+export function oklabToHex(lab) {
+    return rgbToHex(linearToRgb(oklabToLinear(lab).map((value) => Math.min(1, Math.max(0, value)))));
+}
+
+// Convert OKLCH to hex, keeping lightness and hue and reducing chroma until the colour
+// fits in sRGB (plain clipping would shift hue and lightness).
+export function oklchToHex([L, C, h]) {
+    const lightness = Math.min(1, Math.max(0, L));
+    if (isLinearInGamut(oklabToLinear(oklchToOklab([lightness, C, h])))) {
+        return oklabToHex(oklchToOklab([lightness, C, h]));
+    }
+
+    let low = 0;
+    let high = C;
+    for (let i = 0; i < 24; i++) {
+        const mid = (low + high) / 2;
+        if (isLinearInGamut(oklabToLinear(oklchToOklab([lightness, mid, h])))) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return oklabToHex(oklchToOklab([lightness, low, h]));
+}
+
+// Mix two hex colours in OKLab; weight1 is the share of color1 (0-1)
+export function mixOklab(color1, color2, weight1) {
+    const lab1 = hexToOklab(color1);
+    const lab2 = hexToOklab(color2);
+    return oklabToHex(lab1.map((value, i) => value * weight1 + lab2[i] * (1 - weight1)));
+}
+
+// Evenly spaced OKLab blend through the given colours, ends included
+export function interpolateOklab(colors, count) {
+    if (colors.length < 2 || count <= colors.length) return colors.slice();
+    const result = [];
+    for (let i = 0; i < count; i++) {
+        const position = (i / (count - 1)) * (colors.length - 1);
+        const segment = Math.min(colors.length - 2, Math.floor(position));
+        const t = position - segment;
+        result.push(mixOklab(colors[segment], colors[segment + 1], 1 - t));
+    }
+    return result;
+}
+
+// CIE XYZ (D65) and CIELAB
+const whitePoint = [0.95047, 1.0, 1.08883];
+const labEpsilon = 216 / 24389;
+const labKappa = 24389 / 27;
+
+export function linearToXyz([r, g, b]) {
+    return [
+        0.4124564 * r + 0.3575761 * g + 0.1804375 * b,
+        0.2126729 * r + 0.7151522 * g + 0.0721750 * b,
+        0.0193339 * r + 0.1191920 * g + 0.9503041 * b
+    ];
+}
+
+export function xyzToLinear([x, y, z]) {
+    return [
+        3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+        -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+        0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+    ];
+}
+
+export function xyzToLab(xyz) {
+    const [fx, fy, fz] = xyz.map((value, i) => {
+        const t = value / whitePoint[i];
+        return t > labEpsilon ? Math.cbrt(t) : (labKappa * t + 16) / 116;
+    });
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+export function labToXyz([L, a, b]) {
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inverse = (f) => (f * f * f > labEpsilon ? f * f * f : (116 * f - 16) / labKappa);
+    return [inverse(fx), L > labKappa * labEpsilon ? fy * fy * fy : L / labKappa, inverse(fz)]
+        .map((value, i) => value * whitePoint[i]);
+}
+
+export function hexToLab(hex) {
+    return xyzToLab(linearToXyz(rgbToLinear(hexToRgb(hex))));
+}
+
+export function labToHex(lab) {
+    return rgbToHex(linearToRgb(xyzToLinear(labToXyz(lab)).map((value) => Math.min(1, Math.max(0, value)))));
+}
+
+// HSL (kept for hue ranges authored against the familiar HSL colour wheel)
+export function hexToHsl(hex) {
+    const [r, g, b] = hexToRgb(hex).map((value) => value / 255);
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    let h, s;
+    const l = (max + min) / 2;
+    if (max === min) {
+        h = s = 0;
+    } else {
+        const d = max - min;
+        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+        switch (max) {
+            case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+            case g: h = (b - r) / d + 2; break;
+            case b: h = (r - g) / d + 4; break;
+        }
+        h /= 6;
+    }
+    return [h * 360, s * 100, l * 100];
+}
+
+export function hslToHex(h, s, l) {
+    h = normalizeHue(h);
+    s /= 100;
+    l /= 100;
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+    const m = l - c / 2;
+    let r = 0, g = 0, b = 0;
+    if (h < 60) { r = c; g = x; }
+    else if (h < 120) { r = x; g = c; }
+    else if (h < 180) { g = c; b = x; }
+    else if (h < 240) { g = x; b = c; }
+    else if (h < 300) { r = x; b = c; }
+    else { r = c; b = x; }
+    return rgbToHex([(r + m) * 255, (g + m) * 255, (b + m) * 255]);
+}
+
+// Map an HSL wheel hue (degrees) to the OKLCH hue of the fully saturated colour at that angle
+export function hslHueToOklchHue(hue) {
+    return hexToOklch(hslToHex(hue, 100, 50))[2];
+}
+
+// Helper: Is the hue inside [min, max] (degrees)? Ranges with min > max wrap through 0.
+export function hueInRange(hue, [min, max]) {
+    const h = normalizeHue(hue);
+    return min <= max ? h >= min && h <= max : h >= min || h <= max;
+}
+
+// Helper: Signed shortest angular distance from `from` to `to` (degrees)
+export function hueDifference(from, to) {
+    return ((to - from + 540) % 360) - 180;
+}
+
+// CIEDE2000 colour difference between two CIELAB colours (Sharma, Wu & Dalal 2005)
+export function deltaE2000(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const toDegrees = (radians) => radians * 180 / Math.PI;
+
+    const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+    const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+    const meanC = (C1 + C2) / 2;
+    const G = 0.5 * (1 - Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + Math.pow(25, 7))));
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+    const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+    const h1p = C1p === 0 ? 0 : normalizeHue(toDegrees(Math.atan2(b1, a1p)));
+    const h2p = C2p === 0 ? 0 : normalizeHue(toDegrees(Math.atan2(b2, a2p)));
+
+    const deltaL = L2 - L1;
+    const deltaC = C2p - C1p;
+    let deltah = 0;
+    if (C1p * C2p !== 0) {
+        deltah = h2p - h1p;
+        if (deltah > 180) deltah -= 360;
+        else if (deltah < -180) deltah += 360;
+    }
+    const deltaH = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(deltah / 2));
+
+    const meanL = (L1 + L2) / 2;
+    const meanCp = (C1p + C2p) / 2;
+    let meanHp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) meanHp /= 2;
+        else meanHp = h1p + h2p < 360 ? (meanHp + 360) / 2 : (meanHp - 360) / 2;
+    }
+
+    const T = 1
+        - 0.17 * Math.cos(toRadians(meanHp - 30))
+        + 0.24 * Math.cos(toRadians(2 * meanHp))
+        + 0.32 * Math.cos(toRadians(3 * meanHp + 6))
+        - 0.20 * Math.cos(toRadians(4 * meanHp - 63));
+    const deltaTheta = 30 * Math.exp(-Math.pow((meanHp - 275) / 25, 2));
+    const RC = 2 * Math.sqrt(Math.pow(meanCp, 7) / (Math.pow(meanCp, 7) + Math.pow(25, 7)));
+    const SL = 1 + (0.015 * Math.pow(meanL - 50, 2)) / Math.sqrt(20 + Math.pow(meanL - 50, 2));
+    const SC = 1 + 0.045 * meanCp;
+    const SH = 1 + 0.015 * meanCp * T;
+    const RT = -Math.sin(toRadians(2 * deltaTheta)) * RC;
+
+    return Math.sqrt(
+        Math.pow(deltaL / SL, 2) +
+        Math.pow(deltaC / SC, 2) +
+        Math.pow(deltaH / SH, 2) +
+        RT * (deltaC / SC) * (deltaH / SH)
+    );
+}
+
+export function deltaE2000Hex(hex1, hex2) {
+    return deltaE2000(hexToLab(hex1), hexToLab(hex2));
+}
+
+// Helper: Accept "#RRGGBB", "RRGGBB" or "#RGB" and return "#RRGGBB", or null when invalid
+export function parseHexColor(value) {
+    if (typeof value !== 'string') return null;
+    const match = value.trim().match(/^#?([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/);
+    if (!match) return null;
+    const digits = match[1].length === 3
+        ? match[1].split('').map((digit) => digit + digit).join('')
+        : match[1];
+    return `#${digits.toUpperCase()}`;
+}
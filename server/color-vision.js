@@ -0,0 +1,67 @@
+import { hexToRgb, rgbToLinear, linearToRgb, rgbToHex, deltaE2000Hex } from './color-space.js';
+
+// Colour-vision-deficiency simulation using the Machado, Oliveira & Fernandes (2009)
+// matrices at full severity, applied in linear sRGB.
+
+const deficiencyMatrices = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998]
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881]
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900]
+    ]
+};
+
+export const deficiencies = Object.keys(deficiencyMatrices);
+
+// Pairs closer than this CIEDE2000 distance are treated as hard to tell apart at a glance
+export const defaultIndistinguishableDeltaE = 8;
+
+export function simulateDeficiency(hex, deficiency) {
+    const matrix = deficiencyMatrices[deficiency];
+    if (!matrix) throw new Error(`Unknown deficiency: ${deficiency}`);
+
+    const linear = rgbToLinear(hexToRgb(hex));
+    const simulated = matrix.map((row) =>
+        Math.min(1, Math.max(0, row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]))
+    );
+    return rgbToHex(linearToRgb(simulated));
+}
+
+// Pairs that are distinguishable with normal vision but collapse under the deficiency
+function findIndistinguishablePairs(colors, simulated, threshold) {
+    const pairs = [];
+    for (let i = 0; i < colors.length; i++) {
+        for (let j = i + 1; j < colors.length; j++) {
+            if (colors[i] === colors[j]) continue;
+            if (deltaE2000Hex(colors[i], colors[j]) < threshold) continue;
+            const deltaE = deltaE2000Hex(simulated[i], simulated[j]);
+            if (deltaE < threshold) {
+                pairs.push({ a: colors[i], b: colors[j], deltaE: Math.round(deltaE * 100) / 100 });
+            }
+        }
+    }
+    return pairs;
+}
+
+export function simulateColors(colors, options = {}) {
+    const { threshold = defaultIndistinguishableDeltaE } = options;
+    const simulations = {};
+    for (const deficiency of deficiencies) {
+        const simulated = colors.map((hex) => simulateDeficiency(hex, deficiency));
+        simulations[deficiency] = {
+            colors: simulated,
+            indistinguishable: findIndistinguishablePairs(colors, simulated, threshold)
+        };
+    }
+    return simulations;
+}
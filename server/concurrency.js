@@ -0,0 +1,33 @@
+// Shared concurrency limit: run(task) starts task() once fewer than `limit` tasks are running,
+// in call order, and resolves with its result. One limit shared by every caller bounds the
+// total work, however many requests queue tasks at once.
+export function createConcurrencyLimit(limit) {
+    let active = 0;
+    const queue = [];
+
+    function next() {
+        if (active >= limit || queue.length === 0) return;
+        const { task, resolve, reject } = queue.shift();
+        active += 1;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active -= 1;
+                next();
+            });
+    }
+
+    return {
+        run(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, resolve, reject });
+                next();
+            });
+        },
+
+        stats() {
+            return { limit, active, queued: queue.length };
+        }
+    };
+}
@@ -0,0 +1,104 @@
+import { hexToRgb, rgbToLinear, hexToOklch, oklchToHex } from './color-space.js';
+
+// Contrast checks for a generated colour used as a background with text in another colour:
+// WCAG 2.x contrast ratios with AA/AAA verdicts, APCA lightness contrast (Lc), and the nearest
+// lightness-adjusted variant of the background that passes.
+
+export const wcagThresholds = {
+    aa: 4.5,
+    aaLarge: 3,
+    aaa: 7,
+    aaaLarge: 4.5
+};
+
+// APCA use-case minimums (absolute Lc)
+const apcaLevels = [
+    { level: 'body', minLc: 75 },
+    { level: 'content', minLc: 60 },
+    { level: 'large', minLc: 45 },
+    { level: 'non-text', minLc: 30 }
+];
+
+// WCAG 2.x relative luminance
+export function relativeLuminance(hex) {
+    const [r, g, b] = rgbToLinear(hexToRgb(hex));
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+export function contrastRatio(hex1, hex2) {
+    const l1 = relativeLuminance(hex1);
+    const l2 = relativeLuminance(hex2);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+// APCA-W3 0.0.98G-4g screen luminance (simple 2.4 exponent, soft black clamp)
+function apcaLuminance(hex) {
+    const [r, g, b] = hexToRgb(hex).map((value) => Math.pow(value / 255, 2.4));
+    const y = 0.2126729 * r + 0.7151522 * g + 0.0721750 * b;
+    return y < 0.022 ? y + Math.pow(0.022 - y, 1.414) : y;
+}
+
+// APCA lightness contrast of text on background. Positive for dark text on light
+// backgrounds, negative for light text on dark backgrounds.
+export function apcaContrast(textHex, backgroundHex) {
+    const yText = apcaLuminance(textHex);
+    const yBackground = apcaLuminance(backgroundHex);
+    if (Math.abs(yBackground - yText) < 0.0005) return 0;
+
+    let output;
+    if (yBackground > yText) {
+        const sapc = (Math.pow(yBackground, 0.56) - Math.pow(yText, 0.57)) * 1.14;
+        output = sapc < 0.1 ? 0 : sapc - 0.027;
+    } else {
+        const sapc = (Math.pow(yBackground, 0.65) - Math.pow(yText, 0.62)) * 1.14;
+        output = sapc > -0.1 ? 0 : sapc + 0.027;
+    }
+    return output * 100;
+}
+
+export function apcaLevel(lc) {
+    const absolute = Math.abs(lc);
+    const match = apcaLevels.find((item) => absolute >= item.minLc);
+    return match ? match.level : 'fail';
+}
+
+// Nearest OKLCH-lightness variant of the background (hue and chroma kept) whose WCAG
+// contrast against the text colour reaches the target ratio. Null if none exists.
+export function suggestPassingVariant(backgroundHex, textHex, targetRatio) {
+    if (contrastRatio(backgroundHex, textHex) >= targetRatio) return backgroundHex;
+
+    const [lightness, chroma, hue] = hexToOklch(backgroundHex);
+    const step = 0.005;
+    for (let delta = step; delta <= 1; delta += step) {
+        for (const candidateL of [lightness - delta, lightness + delta]) {
+            if (candidateL < 0 || candidateL > 1) continue;
+            const candidate = oklchToHex([candidateL, chroma, hue]);
+            if (contrastRatio(candidate, textHex) >= targetRatio) return candidate;
+        }
+    }
+    return null;
+}
+
+const round = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+// Full report of one background/text pairing
+export function checkContrast(backgroundHex, textHex) {
+    const ratio = contrastRatio(backgroundHex, textHex);
+    const lc = apcaContrast(textHex, backgroundHex);
+
+    return {
+        against: textHex,
+        ratio: round(ratio, 2),
+        wcag: {
+            aa: ratio >= wcagThresholds.aa,
+            aaLarge: ratio >= wcagThresholds.aaLarge,
+            aaa: ratio >= wcagThresholds.aaa,
+            aaaLarge: ratio >= wcagThresholds.aaaLarge
+        },
+        apca: { lc: round(lc, 1), level: apcaLevel(lc) },
+        suggestions: {
+            aa: suggestPassingVariant(backgroundHex, textHex, wcagThresholds.aa),
+            aaa: suggestPassingVariant(backgroundHex, textHex, wcagThresholds.aaa)
+        }
+    };
+}
@@ -0,0 +1,64 @@
+// Minimal RFC 4180 CSV: comma-separated fields, optionally double-quoted, with "" escaping a
+// quote inside quotes. Enough for spreadsheet exports of query lists.
+
+// Parse CSV text into rows of string fields. Blank lines are skipped.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const source = String(text).replace(/^\uFEFF/, '');
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i += 1;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) endRow();
+
+    return rows;
+}
+
+// Helper: Quote a field when it holds a comma, quote or line break. Fields starting with
+// = + - @ are prefixed with ' so spreadsheets do not run them as formulas.
+function formatField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Format objects as CSV with a header row of the given columns
+export function formatCsv(items, columns) {
+    const lines = [columns.map(formatField).join(',')];
+    for (const item of items) {
+        lines.push(columns.map((column) => formatField(item[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
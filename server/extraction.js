@@ -0,0 +1,180 @@
+import sharp from 'sharp';
+import { rgbToLinear, linearToOklab } from './color-space.js';
+
+// Pixel extraction for dominant-colour analysis. "whole" samples the entire image; "subject"
+// crops uniform borders, drops pixels that match the background seen along the edges and
+// weights the rest by closeness to the centre and contrast with that background, so "banana"
+// yields banana pixels rather than the kitchen counter. Either mode can also drop skin tones.
+
+export const extractionModes = ['whole', 'subject'];
+export const defaultExtraction = { mode: 'whole', excludeSkin: false };
+
+// Subject extraction gives up (and the image is sampled whole) below this many subject pixels
+const minSubjectPixels = 40;
+// OKLab distances: pixels closer than this to a background colour are background; contrast
+// with the background saturates at backgroundContrast
+const backgroundDistance = 0.06;
+const backgroundContrast = 0.2;
+// Border lines whose channels all stay within this of the line's mean count as uniform
+const uniformTolerance = 18;
+
+// Key for caching results per extraction setting: "whole", "subject", "subject+noskin"
+export function extractionKey({ mode, excludeSkin }) {
+    return excludeSkin ? `${mode}+noskin` : mode;
+}
+
+// Helper: Skin-tone test in YCbCr (Chai & Ngan's Cb/Cr box), which holds across skin lightness
+function isSkinTone(r, g, b) {
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+// Helper: Transparent, near-white and near-black pixels carry no colour worth naming
+function isUsablePixel(r, g, b, a) {
+    if (a < 125) return false;
+    if (r > 250 && g > 250 && b > 250) return false;
+    if (r < 10 && g < 10 && b < 10) return false;
+    return true;
+}
+
+function toOklab(pixel) {
+    return linearToOklab(rgbToLinear(pixel));
+}
+
+function oklabDistance([L1, a1, b1], [L2, a2, b2]) {
+    return Math.hypot(L1 - L2, a1 - a2, b1 - b2);
+}
+
+async function readRaw(buffer, size) {
+    const { data, info } = await sharp(buffer)
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+}
+
+// Downscale and sample every 10th pixel of the whole image (the original behaviour)
+async function sampleWholeImage(buffer, excludeSkin) {
+    const { data, width, height } = await readRaw(buffer, 180);
+    const pixelArray = [];
+
+    for (let i = 0; i < width * height; i += 10) {
+        const offset = i * 4;
+        const [r, g, b, a] = data.subarray(offset, offset + 4);
+        if (!isUsablePixel(r, g, b, a)) continue;
+        if (excludeSkin && isSkinTone(r, g, b)) continue;
+        pixelArray.push([r, g, b]);
+    }
+
+    return pixelArray;
+}
+
+// Helper: Whether a row or column of pixels is one flat colour (a frame, letterbox or mat)
+function isUniformLine(pixels) {
+    const mean = [0, 1, 2].map((channel) => pixels.reduce((sum, pixel) => sum + pixel[channel], 0) / pixels.length);
+    return pixels.every((pixel) => [0, 1, 2].every((channel) => Math.abs(pixel[channel] - mean[channel]) <= uniformTolerance));
+}
+
+// Helper: Shrink the box while its outermost rows and columns are uniform, by at most a
+// quarter of each side
+function cropUniformBorders(pixelAt, width, height) {
+    const box = { left: 0, top: 0, right: width - 1, bottom: height - 1 };
+    const row = (y) => Array.from({ length: box.right - box.left + 1 }, (_, i) => pixelAt(box.left + i, y));
+    const column = (x) => Array.from({ length: box.bottom - box.top + 1 }, (_, i) => pixelAt(x, box.top + i));
+    const maxX = Math.floor(width / 4);
+    const maxY = Math.floor(height / 4);
+
+    while (box.top < maxY && isUniformLine(row(box.top))) box.top += 1;
+    while (height - 1 - box.bottom < maxY && isUniformLine(row(box.bottom))) box.bottom -= 1;
+    while (box.left < maxX && isUniformLine(column(box.left))) box.left += 1;
+    while (width - 1 - box.right < maxX && isUniformLine(column(box.right))) box.right -= 1;
+    return box;
+}
+
+// Helper: Background colours are those covering at least a quarter of the box's outer ring.
+// Ring pixels are grouped greedily in OKLab; returns the mean colour of each large group.
+function findBackgroundColors(pixelAt, box) {
+    const ringX = Math.max(1, Math.round((box.right - box.left + 1) * 0.08));
+    const ringY = Math.max(1, Math.round((box.bottom - box.top + 1) * 0.08));
+    const clusters = [];
+    let ringPixels = 0;
+
+    for (let y = box.top; y <= box.bottom; y++) {
+        for (let x = box.left; x <= box.right; x++) {
+            const inRing = x < box.left + ringX || x > box.right - ringX || y < box.top + ringY || y > box.bottom - ringY;
+            if (!inRing) continue;
+            const lab = toOklab(pixelAt(x, y));
+            ringPixels += 1;
+            const cluster = clusters.find((candidate) => oklabDistance(candidate.mean, lab) < backgroundDistance);
+            if (cluster) {
+                cluster.count += 1;
+                cluster.mean = cluster.mean.map((value, i) => value + (lab[i] - value) / cluster.count);
+            } else if (clusters.length < 8) {
+                clusters.push({ mean: lab, count: 1 });
+            }
+        }
+    }
+
+    return clusters.filter((cluster) => cluster.count >= ringPixels / 4).map((cluster) => cluster.mean);
+}
+
+// Sample the subject: background pixels are dropped and the rest are repeated 0-4 times by
+// weight (centre closeness x background contrast), so quantize sees a weighted sample.
+// Returns null when too little of the image looks like a subject.
+async function sampleSubject(buffer, excludeSkin) {
+    const { data, width, height } = await readRaw(buffer, 120);
+    const pixelAt = (x, y) => {
+        const offset = (y * width + x) * 4;
+        return [data[offset], data[offset + 1], data[offset + 2]];
+    };
+
+    const box = cropUniformBorders(pixelAt, width, height);
+    const background = findBackgroundColors(pixelAt, box);
+    const centreX = (box.left + box.right) / 2;
+    const centreY = (box.top + box.bottom) / 2;
+    const halfWidth = Math.max(1, (box.right - box.left) / 2);
+    const halfHeight = Math.max(1, (box.bottom - box.top) / 2);
+
+    const pixelArray = [];
+    let subjectPixels = 0;
+    for (let y = box.top; y <= box.bottom; y += 2) {
+        for (let x = box.left; x <= box.right; x += 2) {
+            const offset = (y * width + x) * 4;
+            const [r, g, b, a] = data.subarray(offset, offset + 4);
+            if (!isUsablePixel(r, g, b, a)) continue;
+            if (excludeSkin && isSkinTone(r, g, b)) continue;
+
+            const lab = toOklab([r, g, b]);
+            const distance = background.length
+                ? Math.min(...background.map((color) => oklabDistance(color, lab)))
+                : backgroundContrast;
+            if (distance < backgroundDistance) continue;
+
+            // Squared distance from the centre: 0 in the middle, 1 in the corners
+            const offCentre = (((x - centreX) / halfWidth) ** 2 + ((y - centreY) / halfHeight) ** 2) / 2;
+            const centreWeight = Math.exp(-offCentre / 0.18);
+            const contrast = Math.min(1, distance / backgroundContrast);
+            const copies = Math.round(centreWeight * contrast * 4);
+            if (copies === 0) continue;
+
+            subjectPixels += 1;
+            for (let i = 0; i < copies; i++) pixelArray.push([r, g, b]);
+        }
+    }
+
+    return subjectPixels >= minSubjectPixels ? pixelArray : null;
+}
+
+// Sample an image's pixels with the given extraction. Returns { pixels, mode } where mode is
+// the one that produced the pixels: subject extraction falls back to "whole" when it finds
+// no subject.
+export async function extractPixels(buffer, extraction = defaultExtraction) {
+    const { mode = 'whole', excludeSkin = false } = extraction;
+    if (mode === 'subject') {
+        const pixels = await sampleSubject(buffer, excludeSkin);
+        if (pixels) return { pixels, mode: 'subject' };
+    }
+    return { pixels: await sampleWholeImage(buffer, excludeSkin), mode: 'whole' };
+}
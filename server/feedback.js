@@ -0,0 +1,145 @@
+import { tokenizeText } from './languages.js';
+import { parseHexColor } from './color-space.js';
+
+// Feedback learning: likes and dislikes are aggregated per normalised query and the colours
+// ranked by a recency-weighted vote score, so a single stray click cannot pin a query forever.
+
+const halfLifeMs = 30 * 24 * 60 * 60 * 1000;
+const voteWeights = {
+    like: 1,
+    dislike: -1,
+    // "Next Colour" is a weaker signal than an explicit dislike
+    implicitDislike: -0.5
+};
+const fuzzyMatchPenalty = 0.8;
+// One typo is forgiven per this many characters, so keys shorter than it ("cat", "red") only
+// match exactly and never borrow the votes of "car" or "bed"
+const charactersPerTypo = 5;
+
+export const feedbackRatings = ['like', 'dislike'];
+
+// "Ocean-Blue", " ocean  blue " and "OCEAN BLUE" all become "ocean blue"
+export function normalizeFeedbackQuery(query) {
+    return tokenizeText(query).join(' ');
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Fuzzy fallback for queries with no votes of their own: same words in another order,
+// or a small typo ("ocaen blue").
+function isFuzzyMatch(key, candidateKey) {
+    const sortedKey = key.split(' ').sort().join(' ');
+    const sortedCandidate = candidateKey.split(' ').sort().join(' ');
+    if (sortedKey === sortedCandidate) return true;
+    const allowedEdits = Math.floor(key.length / charactersPerTypo);
+    if (allowedEdits === 0) return false;
+    return Math.abs(key.length - candidateKey.length) <= allowedEdits &&
+        levenshtein(key, candidateKey) <= allowedEdits;
+}
+
+export function createFeedbackRecord({ query, color, rating, implicit = false }, now = Date.now()) {
+    return {
+        query,
+        key: normalizeFeedbackQuery(query),
+        color: color.toUpperCase(),
+        rating,
+        implicit: rating === 'dislike' && !!implicit,
+        timestamp: now
+    };
+}
+
+function voteWeight(record, now) {
+    let weight;
+    if (record.rating === 'dislike') {
+        weight = record.implicit ? voteWeights.implicitDislike : voteWeights.dislike;
+    } else {
+        weight = voteWeights.like;
+    }
+    const age = Math.max(0, now - (record.timestamp || 0));
+    return weight * Math.pow(0.5, age / halfLifeMs);
+}
+
+// Rank the colours voted on for one query key. Legacy records without `rating` are likes.
+export function aggregateVotes(records, key, now = Date.now()) {
+    const byColor = new Map();
+    let totalWeight = 0;
+
+    for (const record of records) {
+        const recordKey = record.key || normalizeFeedbackQuery(record.query || '');
+        // Votes stored before colours were validated may hold anything; only hex is served back
+        const color = parseHexColor(record.color);
+        if (recordKey !== key || !color) continue;
+
+        const weight = voteWeight(record, now);
+        const entry = byColor.get(color) || { color, score: 0, likes: 0, dislikes: 0, lastVoteAt: 0 };
+        entry.score += weight;
+        if (weight > 0) entry.likes += 1;
+        else entry.dislikes += 1;
+        entry.lastVoteAt = Math.max(entry.lastVoteAt, record.timestamp || 0);
+        byColor.set(color, entry);
+        totalWeight += Math.abs(weight);
+    }
+
+    const ranked = Array.from(byColor.values()).sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        return b.lastVoteAt - a.lastVoteAt;
+    });
+    return { ranked, totalWeight };
+}
+
+// Confidence grows with the share of the query's vote weight behind the colour and with
+// the number of independent likes (one like gives 0.33, three give 0.6).
+function confidenceFor(best, totalWeight, penalty = 1) {
+    if (!totalWeight || best.score <= 0) return 0;
+    const agreement = Math.min(1, best.score / totalWeight);
+    const support = best.likes / (best.likes + 2);
+    return Math.round(agreement * support * penalty * 100) / 100;
+}
+
+// Best learned colour for a query, or null when nothing has a positive score.
+export function findLearnedColor(records, query, options = {}) {
+    const { now = Date.now(), minConfidence = 0.2 } = options;
+    const key = normalizeFeedbackQuery(query);
+    if (!key) return null;
+
+    let matchedKey = key;
+    let penalty = 1;
+    let { ranked, totalWeight } = aggregateVotes(records, key, now);
+
+    if (!ranked.length) {
+        const keys = new Set(records.map((record) => record.key || normalizeFeedbackQuery(record.query || '')));
+        const fuzzyKey = Array.from(keys).find((candidate) => candidate && isFuzzyMatch(key, candidate));
+        if (!fuzzyKey) return null;
+        ({ ranked, totalWeight } = aggregateVotes(records, fuzzyKey, now));
+        matchedKey = fuzzyKey;
+        penalty = fuzzyMatchPenalty;
+    }
+
+    const best = ranked[0];
+    if (!best || best.score <= 0) return null;
+
+    const confidence = confidenceFor(best, totalWeight, penalty);
+    if (confidence < minConfidence) return null;
+
+    return {
+        color: best.color,
+        confidence,
+        matchedQuery: matchedKey,
+        votes: { likes: best.likes, dislikes: best.dislikes }
+    };
+}
@@ -0,0 +1,481 @@
+import { analyzeColorFromQuery } from './image-analysis.js';
+import {
+    hexToOklch,
+    oklchToHex,
+    mixOklab,
+    hslHueToOklchHue,
+    hueInRange,
+    hueDifference,
+    normalizeHue,
+    interpolateOklab
+} from './color-space.js';
+import { findColorNameInText, lookupColor, isAnyHue } from './color-names.js';
+import { findLearnedColor } from './feedback.js';
+import { parseColorQuery, parseMultiColorQuery, applyModifiers, createMoreColorModifier, mergeModifiers } from './query-parser.js';
+import { languages, normalizeLanguage, tokenizeText } from './languages.js';
+import { extractionModes, extractionKey, defaultExtraction } from './extraction.js';
+import { findSimilarColor } from './color-clusters.js';
+import { validate } from './validation.js';
+
+// Colour generation without the HTTP layer, shared by the Express routes and the CLI.
+// createGenerator() at the end binds it to a candidate cache and a feedback source; the
+// helpers before it are stateless.
+
+// Each step past the cached candidates searches another page of images, up to 10 pages of 5,
+// so no query has more candidates than this; longer queries are not colour descriptions
+export const maxStep = 50;
+export const maxQueryLength = 200;
+
+// Fields of a generation request (POST /api/generate body, stream query string, batch row)
+export const generateRequestSchema = {
+    query: { type: 'string', required: true, maxLength: maxQueryLength },
+    previousColor: { type: 'hex' },
+    mode: { type: 'string', values: ['refine'] },
+    step: { type: 'integer', min: 0, max: maxStep },
+    lang: { type: 'string', maxLength: 16 },
+    extraction: { type: 'string', maxLength: 16 },
+    excludeSkin: { type: 'boolean' }
+};
+
+function tokenizeQuery(query) {
+    return tokenizeText(query);
+}
+
+// Find the longest dictionary colour named in the query (whole words, aliases resolved)
+export function findRawColorName(query, lang = null) {
+    return findColorNameInText(query, { lang });
+}
+
+// True when the whole query is a colour name or alias ("grey", "carmine red")
+function isSingleRawColorQuery(query, lang = null) {
+    const tokens = tokenizeQuery(query);
+    return tokens.length > 0 && !!lookupColor(tokens.join(' '), { lang });
+}
+
+// Helper: Read an optional `lang` parameter ("de", "de-AT"). Returns { lang } (null when absent)
+// or { error } for languages without a market or dictionary.
+export function readLanguage(value) {
+    if (value === undefined || value === null || value === '') return { lang: null };
+    const lang = normalizeLanguage(value);
+    if (!lang) {
+        return { error: `Unsupported lang "${value}", expected one of: ${Object.keys(languages).join(', ')}` };
+    }
+    return { lang };
+}
+
+// Helper: Read the optional `extraction` ("whole" or "subject") and `excludeSkin` parameters.
+// Returns { extraction } or { error }. Multipart uploads send excludeSkin as the string "true".
+export function readExtraction({ extraction, excludeSkin }) {
+    const mode = extraction === undefined || extraction === null || extraction === '' ? defaultExtraction.mode : extraction;
+    if (!extractionModes.includes(mode)) {
+        return { error: `Unsupported extraction "${extraction}", expected one of: ${extractionModes.join(', ')}` };
+    }
+    return { extraction: { mode, excludeSkin: excludeSkin === true || excludeSkin === 'true' } };
+}
+
+// Fields every successful generation has, whatever its source: color, source, step (the requested
+// step for sources that do not step through candidates), confidence (null for dictionary colours)
+// and warnings. Source-specific fields (weight, colors, gradient, votes, modifiers...) follow them.
+export const generateResponseFields = ['color', 'source', 'step', 'confidence', 'warnings'];
+
+function toResponseEnvelope(body, { step, extraction }) {
+    const { color, source, step: candidateStep = step, confidence = null, warnings = [], ...details } = body;
+    const envelope = { color, source, step: candidateStep, confidence, warnings: [...warnings], ...details };
+    if (extraction.mode === 'subject' && details.extraction === 'whole') {
+        envelope.warnings.push('No distinct subject found in the images; whole images were analysed.');
+    }
+    return envelope;
+}
+
+// Searches in another language run in another image market, and other extraction settings
+// find other colours, so both are cached separately. Default settings keep the short key.
+function getCacheKey(query, analysisQuery, options = {}) {
+    const { lang = null, extraction = defaultExtraction } = options;
+    const q = query.toLowerCase().trim();
+    const a = analysisQuery.toLowerCase().trim();
+    const variant = extractionKey(extraction) === extractionKey(defaultExtraction) ? '' : extractionKey(extraction);
+    const parts = [q, a];
+    if (lang || variant) parts.push(lang || '');
+    if (variant) parts.push(variant);
+    return parts.join('||');
+}
+
+// Helper: Blend two colors in OKLab so mixes keep their perceived lightness and saturation
+function blendColors(color1, color2, weight1) {
+    return mixOklab(color1, color2, weight1);
+}
+
+// Helper: Convert registry spectrum ranges (HSL wheel degrees) into OKLCH hue ranges.
+// Any-hue ranges (white, black, gray...) impose no restriction and return null.
+export function toOklchHueRanges(ranges) {
+    if (!ranges || ranges.length === 0 || isAnyHue(ranges)) return null;
+    return ranges.map(([min, max]) => [hslHueToOklchHue(min), hslHueToOklchHue(max)]);
+}
+
+function hueRangeSpan([min, max]) {
+    return normalizeHue(max - min);
+}
+
+// Helper: Shift Hue in OKLCH, keeping perceived lightness and chroma
+// Ranges are registry hue ranges in degrees, e.g. Red is [[332, 28]] (wrapping through 0)
+export function shiftHue(hex, degree, ranges = null) {
+    const [lightness, chroma, startHue] = hexToOklch(hex);
+    const hueRanges = toOklchHueRanges(ranges);
+    let hue = startHue;
+
+    // If ranges exist, we must loop strictly within them
+    if (hueRanges) {
+        let currentRange = hueRanges.find((range) => hueInRange(hue, range));
+
+        // If not in any range (e.g. analysis drifted), snap to the nearest range edge
+        if (!currentRange) {
+            let nearest = null;
+            for (const range of hueRanges) {
+                for (const edge of range) {
+                    const distance = Math.abs(hueDifference(hue, edge));
+                    if (!nearest || distance < nearest.distance) {
+                        nearest = { distance, edge, range };
+                    }
+                }
+            }
+            hue = nearest.edge;
+            currentRange = nearest.range;
+        }
+
+        // Shift within the range, looping locally at its edges
+        const span = hueRangeSpan(currentRange);
+        let offset = normalizeHue(hue - currentRange[0]) + degree;
+        if (offset < 0 || offset > span) {
+            offset = span > 0 ? ((offset % span) + span) % span : 0;
+        }
+        hue = currentRange[0] + offset;
+    } else {
+        // Global loop around the wheel
+        hue += degree;
+    }
+
+    return oklchToHex([lightness, chroma, normalizeHue(hue)]);
+}
+
+// Candidates returned as the `palette` of analysed colours
+const generatedPaletteSize = 5;
+
+// Gradient stops returned for "X to Y" queries: four steps per pair of terms, at most nine
+function gradientStopCount(termCount) {
+    return Math.min(9, (termCount - 1) * 4 + 1);
+}
+
+// candidateCache: a createCandidateCache() instance (persisted by the server, in memory for the
+// CLI). getFeedbackRecords: () => feedback records for learned colours; none by default.
+export function createGenerator(options) {
+    const { candidateCache, getFeedbackRecords = () => [] } = options;
+
+    function getCandidateCache(query, analysisQuery, options = {}) {
+        const key = getCacheKey(query, analysisQuery, options);
+        return candidateCache.get(key) || candidateCache.create(key);
+    }
+
+    // options: { lang, extraction, onProgress, visionProvider }. The result's mode says how the candidate was found
+    // ("vision", "whole" or "subject"). Later pages only add colours distinct from the cached
+    // candidates, so each step moves to a perceptibly different colour; near-duplicates add their
+    // weight to the existing candidate instead.
+    async function getPopularCandidateForStep(query, analysisQuery, step, options = {}) {
+        const { lang = null, extraction = defaultExtraction, onProgress = null, visionProvider } = options;
+        const pageSize = 5;
+        const maxPages = 10;
+        const targetIndex = Math.max(0, step);
+        const cache = getCandidateCache(query, analysisQuery, { lang, extraction });
+
+        while (cache.candidates.length <= targetIndex && cache.pagesLoaded < maxPages) {
+            const analysis = await analyzeColorFromQuery(query, {
+                searchQuery: analysisQuery,
+                offset: cache.pagesLoaded * pageSize,
+                count: pageSize,
+                lang,
+                extraction,
+                onProgress,
+                visionProvider
+            });
+            const candidates = analysis ? analysis.candidates : [];
+
+            cache.pagesLoaded += 1;
+
+            for (const candidate of candidates) {
+                if (cache.seen.has(candidate)) continue;
+                cache.seen.add(candidate);
+                const similar = findSimilarColor(cache.candidates, candidate);
+                if (similar >= 0) {
+                    const existing = cache.candidates[similar];
+                    cache.weights[existing] = (cache.weights[existing] || 1) + analysis.weights[candidate];
+                    continue;
+                }
+                cache.candidates.push(candidate);
+                cache.modes[candidate] = analysis.modes[candidate];
+                cache.weights[candidate] = analysis.weights[candidate];
+            }
+
+            // Saved even when the page was empty, so a query without images is not searched again
+            await candidateCache.save(cache);
+            if (onProgress) {
+                onProgress('candidates', {
+                    query,
+                    candidates: cache.candidates.map((color) => ({ color, weight: cache.weights[color] || 1, mode: cache.modes[color] || null })),
+                    best: cache.candidates[Math.min(targetIndex, cache.candidates.length - 1)] || null
+                });
+            }
+            if (!candidates.length) break;
+        }
+
+        if (cache.candidates.length > targetIndex) {
+            const candidate = cache.candidates[targetIndex];
+            return {
+                candidate,
+                candidates: cache.candidates,
+                modes: cache.modes,
+                weights: cache.weights,
+                index: targetIndex,
+                mode: cache.modes[candidate] || null
+            };
+        }
+
+        return { candidate: null, candidates: cache.candidates, modes: cache.modes, weights: cache.weights, index: targetIndex, mode: null };
+    }
+
+    // Helper: One colour per term of a multi-colour query. Each term is analysed together with the
+    // shared subject ("navy uniform", "gold uniform") so one term's images do not colour another,
+    // then kept inside its own spectrum. Terms without a subject use the dictionary colour.
+    async function generateTermColors(parsed, step, options = {}) {
+        const colors = [];
+        for (const term of parsed.terms) {
+            let color = term.hex;
+            let extraction = null;
+            if (parsed.thing) {
+                const termQuery = `${term.name} ${parsed.thing}`;
+                try {
+                    const result = await getPopularCandidateForStep(termQuery, termQuery, step, options);
+                    if (result && result.candidate) {
+                        color = shiftHue(blendColors(term.hex, result.candidate, 0.8), 0, term.range);
+                        extraction = result.mode;
+                    }
+                } catch (e) {
+                    console.warn(`Term analysis failed for "${termQuery}":`, e.message);
+                }
+            }
+            const termColor = { term: term.phrase, name: term.name, color: applyModifiers(color, term.modifiers), modifiers: term.modifiers };
+            if (extraction) termColor.extraction = extraction;
+            colors.push(termColor);
+        }
+        return colors;
+    }
+
+    // Generate a colour for a request (see generateRequestSchema). Returns { status, body } for the
+    // route to send, where a successful body has the generateResponseFields first. onProgress(type,
+    // data), when given, receives the search, image and candidate events that /api/generate/stream
+    // forwards. coerce: the request's values may be strings, as in query strings and CSV rows.
+    // visionProvider overrides the configured one (null for none).
+    async function generateForRequest(request, options = {}) {
+        const { coerce = false } = options;
+        const { value: fields, error, status } = validate(generateRequestSchema, request, { coerce });
+        if (error) {
+            return { status, body: { error } };
+        }
+        const { lang, error: languageError } = readLanguage(fields.lang);
+        if (languageError) {
+            return { status: 400, body: { error: languageError } };
+        }
+        const { extraction, error: extractionError } = readExtraction(fields);
+        if (extractionError) {
+            return { status: 400, body: { error: extractionError } };
+        }
+
+        const result = await generateForFields(fields, { ...options, lang, extraction });
+        if (result.status !== 200) return result;
+        return { status: 200, body: toResponseEnvelope(result.body, { step: fields.step || 0, extraction }) };
+    }
+
+    // Helper: The colour for validated request fields; options: { lang, extraction, onProgress,
+    // visionProvider }. Bodies differ by source until toResponseEnvelope lines them up.
+    async function generateForFields(fields, options) {
+        const { lang, extraction, onProgress = null, visionProvider } = options;
+        const { query: normalizedQuery, previousColor = null, mode = null, step = 0 } = fields;
+        console.log(`[Generate] query="${normalizedQuery}" mode=${mode || 'new'} step=${step} extraction=${extractionKey(extraction)}`);
+        const reportStatus = (message) => {
+            if (onProgress) onProgress('status', { message });
+        };
+
+        // Several colour terms ("navy and gold uniform", "blue to green") get one colour each
+        const multiColor = parseMultiColorQuery(normalizedQuery, { lang });
+        if (multiColor) {
+            reportStatus(`Found ${multiColor.terms.length} colour terms (${multiColor.kind})`);
+            const colors = await generateTermColors(multiColor, step, { lang, extraction, onProgress, visionProvider });
+            if (previousColor && colors[0].color.toUpperCase() === previousColor.toUpperCase()) {
+                colors[0].color = shiftHue(colors[0].color, 30, multiColor.terms[0].range);
+            }
+            const response = {
+                color: colors[0].color,
+                colors,
+                kind: multiColor.kind,
+                source: 'multi_color',
+                step,
+                modifiers: mergeModifiers(colors.map((term) => term.modifiers))
+            };
+            if (multiColor.kind === 'gradient') {
+                response.gradient = interpolateOklab(colors.map((term) => term.color), gradientStopCount(colors.length));
+            }
+            return { status: 200, body: response };
+        }
+
+        // Modifiers ("very dark", "pastel", "more green") are stripped from the subject and
+        // applied to whatever colour the subject produces
+        const { subject, modifiers } = parseColorQuery(normalizedQuery, { lang });
+
+        // Find the first raw color in the query (even if not single word)
+        const rawColorName = findRawColorName(subject, lang);
+        const rawColorData = rawColorName ? lookupColor(rawColorName, { lang }) : null;
+        const spectrumRanges = rawColorData ? rawColorData.range : null;
+        const isRawOnly = isSingleRawColorQuery(subject, lang);
+
+        // Refining a colour query nudges the result towards that colour
+        if (mode === 'refine' && rawColorName) {
+            modifiers.push(createMoreColorModifier(rawColorName, { lang }));
+        }
+        const applyQueryModifiers = (hex) => applyModifiers(hex, modifiers);
+
+        // If the query is exactly a raw color, return its hex
+        if (isRawOnly && rawColorData) {
+            return { status: 200, body: { color: applyQueryModifiers(rawColorData.hex), source: 'raw_exact', modifiers } };
+        }
+
+        // If the query contains a raw color (e.g. 'sunset pink'), restrict to that color's spectrum
+        if (rawColorData) {
+            // Optionally, blend with a random color in the spectrum or just return the base color
+            // For now, return a random hue in the allowed range for that color
+            // (You could make this more sophisticated if needed)
+            const baseHex = rawColorData.hex;
+            let resultHex = baseHex;
+            const hueRanges = toOklchHueRanges(spectrumRanges);
+            if (hueRanges) {
+                // Pick a random range and a random OKLCH hue within it, keeping the base lightness and chroma
+                const range = hueRanges[Math.floor(Math.random() * hueRanges.length)];
+                const [lightness, chroma] = hexToOklch(baseHex);
+                resultHex = oklchToHex([lightness, chroma, range[0] + Math.random() * hueRangeSpan(range)]);
+            }
+            return { status: 200, body: { color: applyQueryModifiers(resultHex), source: 'raw_spectrum', modifiers } };
+        }
+
+        const learned = !mode && step === 0 ? findLearnedColor(getFeedbackRecords(), normalizedQuery) : null;
+
+        if (learned) {
+            reportStatus('Using the colour learned from feedback');
+            return {
+                status: 200,
+                body: {
+                    color: learned.color,
+                    source: 'learned',
+                    confidence: learned.confidence,
+                    votes: learned.votes
+                }
+            };
+        }
+
+        let candidates = [];
+        let candidateIndex = 0;
+        let selectedAnalyzedColor = null;
+        let candidateModes = {};
+        let candidateWeights = {};
+        let analysisFailed = false;
+        try {
+            reportStatus(`Searching images for "${subject}"`);
+            const result = await getPopularCandidateForStep(subject, subject, step, { lang, extraction, onProgress, visionProvider });
+
+            if (result && result.candidate) {
+                selectedAnalyzedColor = result.candidate;
+                candidateModes = result.modes;
+                candidateWeights = result.weights;
+                candidates = result.candidates || [];
+                candidateIndex = result.index || 0;
+            } else {
+                analysisFailed = true;
+            }
+        } catch (e) {
+            console.warn('Analysis skipped or failed:', e.message);
+            analysisFailed = true;
+        }
+
+        // If analysis fails, do not use hash fallback, return error
+        if (candidates.length === 0 || analysisFailed) {
+            return { status: 502, body: { error: 'AI analysis failed, no color generated.' } };
+        }
+
+        let finalColor = null;
+        let weight = 0;
+        const currentStep = step;
+
+        if (!selectedAnalyzedColor) {
+            selectedAnalyzedColor = candidates[candidateIndex];
+        }
+
+        finalColor = selectedAnalyzedColor;
+
+        if (rawColorData) {
+            weight = 0.8;
+            finalColor = blendColors(rawColorData.hex, selectedAnalyzedColor, weight);
+        }
+
+        if (spectrumRanges) {
+            finalColor = shiftHue(finalColor, 0, spectrumRanges);
+        }
+        finalColor = applyQueryModifiers(finalColor);
+
+        if (previousColor && finalColor.toUpperCase() === previousColor.toUpperCase()) {
+            if (candidates.length > 1) {
+                const nextIndex = (candidateIndex + 1) % candidates.length;
+                selectedAnalyzedColor = candidates[nextIndex];
+                if (rawColorData) {
+                    finalColor = blendColors(rawColorData.hex, selectedAnalyzedColor, weight || 0.8);
+                } else {
+                    finalColor = selectedAnalyzedColor;
+                }
+                if (spectrumRanges) {
+                    finalColor = shiftHue(finalColor, 0, spectrumRanges);
+                }
+                finalColor = applyQueryModifiers(finalColor);
+            } else {
+                console.log('Persistent collision. Forcing hue shift.');
+                finalColor = shiftHue(finalColor, 30, spectrumRanges);
+            }
+        }
+
+        // Final failsafe: if we still collide after attempts, force a hue shift
+        if (previousColor && finalColor.toUpperCase() === previousColor.toUpperCase()) {
+            console.log('Persistent collision. Forcing hue shift.');
+            finalColor = shiftHue(finalColor, 30, spectrumRanges); // Shift 30 degrees of OKLCH hue
+        }
+
+        const extractionMode = candidateModes[selectedAnalyzedColor] || null;
+        // Share of the analysed images' votes behind the chosen candidate
+        const totalWeight = candidates.reduce((sum, color) => sum + (candidateWeights[color] || 1), 0);
+        const confidence = Math.round(((candidateWeights[selectedAnalyzedColor] || 1) / totalWeight) * 100) / 100;
+        // The analysed candidates double as the query's palette, so the page needs no second search
+        const palette = candidates
+            .map((color) => ({ color, share: Math.round(((candidateWeights[color] || 1) / totalWeight) * 1000) / 1000 }))
+            .sort((a, b) => b.share - a.share)
+            .slice(0, generatedPaletteSize);
+        if (rawColorData) {
+            console.log(`Result: ${finalColor} (Source: Weighted Raw, Step: ${currentStep}, Weight: ${weight.toFixed(3)})`);
+            return { status: 200, body: { color: finalColor, source: 'weighted_raw', weight, step: currentStep, confidence, extraction: extractionMode, modifiers, palette } };
+        }
+
+        // Final Safety Check
+        if (!finalColor) {
+            console.warn('Unexpected: finalColor is null. Using fallback.');
+            finalColor = '#CCCCCC';
+        }
+
+        // Else 100% Analysis (Cycling through candidates)
+        console.log(`Result: ${finalColor} (Source: Analysis, Step: ${currentStep})`);
+        return { status: 200, body: { color: finalColor, source: 'analyzed_candidate', step: currentStep, confidence, extraction: extractionMode, modifiers, palette } };
+    }
+
+    return { generate: generateForRequest, getPopularCandidateForStep };
+}
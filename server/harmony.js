@@ -0,0 +1,51 @@
+import { hexToOklch, oklchToHex, normalizeHue } from './color-space.js';
+
+// Colour harmonies built by rotating OKLCH hue (lightness and chroma kept), so every
+// member of a scheme reads as equally light and saturated as the base colour.
+
+// Hue offsets in degrees from the base colour, in the order returned; offset 0 is the base itself
+const hueSchemes = {
+    complementary: [0, 180],
+    analogous: [-30, 0, 30],
+    triadic: [0, 120, 240],
+    'split-complementary': [0, 150, 210],
+    tetradic: [0, 60, 180, 240]
+};
+
+// Lightness offsets for the monochromatic scheme (OKLab L, 0-1)
+const monochromaticSteps = [-0.3, -0.15, 0, 0.15, 0.3];
+
+export const harmonySchemes = [...Object.keys(hueSchemes), 'monochromatic'];
+
+// constrain (optional) maps each generated hex back into an allowed spectrum,
+// e.g. the hue range of the colour named in the query.
+export function generateHarmony(hex, scheme, options = {}) {
+    const { constrain = null } = options;
+    const [lightness, chroma, hue] = hexToOklch(hex);
+
+    let colors;
+    if (scheme === 'monochromatic') {
+        colors = monochromaticSteps.map((step) =>
+            oklchToHex([Math.min(0.97, Math.max(0.15, lightness + step)), chroma, hue])
+        );
+    } else if (hueSchemes[scheme]) {
+        colors = hueSchemes[scheme].map((offset) =>
+            offset === 0 ? hex : oklchToHex([lightness, chroma, normalizeHue(hue + offset)])
+        );
+    } else {
+        throw new Error(`Unknown harmony scheme: ${scheme}`);
+    }
+
+    if (constrain) colors = colors.map(constrain);
+
+    // Clamping to a narrow spectrum can collapse members onto each other; keep them distinct
+    return Array.from(new Set(colors));
+}
+
+export function generateHarmonies(hex, options = {}) {
+    const schemes = {};
+    for (const scheme of harmonySchemes) {
+        schemes[scheme] = generateHarmony(hex, scheme, options);
+    }
+    return schemes;
+}
@@ -1,13 +1,13 @@
-import fetch from 'node-fetch';
-import sharp from 'sharp';
 import quantize from 'quantize';
-
-const geminiApiKey = process.env.GEMINI_API_KEY || '';
-const geminiModel = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
-
-let cachedGeminiModel = null;
-let cachedGeminiModelAt = 0;
-let warnedMissingGeminiKey = false;
+import { createProviderFromEnv, loadImage } from './image-search.js';
+import { createVisionProviderFromEnv } from './vision-providers.js';
+import { findColorNamesInText } from './color-names.js';
+import { languages, tokenizeText } from './languages.js';
+import { createImageCacheFromEnv } from './image-cache.js';
+import { extractPixels, extractionKey, defaultExtraction } from './extraction.js';
+import { clusterColors } from './color-clusters.js';
+
+let warnedMissingVisionProvider = false;
 const blockedDomains = new Set([
     'gun.deals',
     'image.invaluable.com',
@@ -26,165 +26,92 @@ function shouldSkipUrl(url) {
     }
 }
 
-function tokenize(text) {
-    return text
-        .toLowerCase()
-        .split(/[^a-z0-9]+/)
-        .filter(Boolean);
+// Words joining colour terms in multi-colour queries ("navy and gold", "blue to green")
+const colorConnectors = new Set(['and', 'or', 'to', 'into', 'through', 'from']);
+
+// Split a query into the colour names it mentions and the thing they describe:
+// "navy and gold uniform" -> { colors: ['navy', 'gold'], thing: 'uniform' }
+function extractColorsAndThing(query, lang) {
+    const matches = findColorNamesInText(query, { lang });
+    const colorTokens = new Set(matches.flatMap((match) => tokenizeText(match.match)));
+    const isConnector = (token) => matches.length > 1 && colorConnectors.has(token);
+    const thingTokens = tokenizeText(query).filter((token) => !colorTokens.has(token) && !isConnector(token));
+    return { colors: matches.map((match) => match.name), thing: thingTokens.join(' ').trim() };
 }
 
-const colorWordSet = new Set([
-    'red', 'green', 'blue', 'yellow', 'cyan', 'magenta', 'white', 'black', 'gray', 'grey',
-    'orange', 'purple', 'pink', 'brown', 'lime', 'navy', 'teal', 'maroon', 'olive',
-    'silver', 'gold', 'violet', 'indigo', 'turquoise', 'beige', 'mint', 'lavender', 'coral'
-]);
-
-function extractColorAndThing(query) {
-    const tokens = tokenize(query);
-    const colorTokens = tokens.filter((token) => colorWordSet.has(token));
-    const color = colorTokens[0] || '';
-    const thingTokens = tokens.filter((token) => token !== color);
-    const thing = thingTokens.join(' ').trim();
-    return { color, thing };
+function buildColorPrompt(query, lang) {
+    const { colors, thing } = extractColorsAndThing(query, lang);
+    const targetColors = colors.length ? colors.map((color) => `"${color}"`).join(' and ') : '"main"';
+    const targetThing = thing || query;
+    // Colour and object names stay in the user's language; tell the model which one it is
+    const languageNote = lang && lang !== 'en' && languages[lang]
+        ? `The quoted words are ${languages[lang].name}.\n`
+        : '';
+    return `Return only JSON. Question: What hex color values ${colors.length > 1 ? 'are' : 'is'} ${targetColors} on the "${targetThing}"?\n` +
+        languageNote +
+        `Schema: {"colors":["#RRGGBB", ...]}\n` +
+        `Rules: 2-5 colors, no extra text.`;
 }
 
-function extractJsonObject(text) {
-    if (!text) return null;
-    try {
-        return JSON.parse(text);
-    } catch {
-        const match = text.match(/\{[\s\S]*\}/);
-        if (!match) return null;
-        try {
-            return JSON.parse(match[0]);
-        } catch {
-            return null;
-        }
-    }
-}
+let imageCache = null;
 
-function normalizeHexList(colors) {
-    if (!Array.isArray(colors)) return [];
-    return colors
-        .map((col) => {
-            if (typeof col !== 'string') return null;
-            const trimmed = col.trim();
-            const hexMatch = trimmed.match(/^#?[0-9A-Fa-f]{6}$/);
-            if (!hexMatch) return null;
-            return trimmed.startsWith('#') ? trimmed.toUpperCase() : `#${trimmed.toUpperCase()}`;
-        })
-        .filter(Boolean);
+// Created lazily, like the providers below, so it sees env vars loaded by dotenv
+export function getImageCache() {
+    if (!imageCache) imageCache = createImageCacheFromEnv();
+    return imageCache;
 }
 
-async function fetchGeminiModel() {
-    if (!geminiApiKey) return null;
-    const now = Date.now();
-    if (cachedGeminiModel && now - cachedGeminiModelAt < 10 * 60 * 1000) {
-        return cachedGeminiModel;
-    }
-
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models?key=${geminiApiKey}`;
-    const response = await fetch(endpoint);
-    if (!response.ok) {
-        console.warn('Gemini model list request failed:', response.status);
-        return null;
-    }
-
-    const payload = await response.json();
-    const models = Array.isArray(payload.models) ? payload.models : [];
-    const supported = models.filter((model) =>
-        Array.isArray(model.supportedGenerationMethods) &&
-        model.supportedGenerationMethods.includes('generateContent')
-    );
-
-    const preferredName = `models/${geminiModel}`;
-    const preferred = supported.find((model) => model.name === preferredName);
-    if (preferred) {
-        cachedGeminiModel = preferred.name.replace('models/', '');
-        cachedGeminiModelAt = now;
-        return cachedGeminiModel;
+// Helper: Resolve a URL to its cached content record, downloading only when needed.
+// isComplete(content) says whether the cached record already holds what the caller needs;
+// stale complete records are revalidated with their ETag. Returns { content, image } where
+// image is the fresh download (null when the cache answered), or null if the image is unavailable.
+async function loadImageRecord(url, { timeoutMs = 0, isComplete }) {
+    const cache = getImageCache();
+    const cached = cache.lookup(url);
+
+    if (cached && isComplete(cached.content)) {
+        if (cached.fresh) return { content: cached.content, image: null };
+        if (cached.etag) {
+            const image = await loadImage(url, { timeoutMs, etag: cached.etag });
+            if (!image) return null;
+            if (image.notModified) {
+                cache.revalidated(url);
+                return { content: cached.content, image: null };
+            }
+            return { content: cache.store(url, image), image };
+        }
     }
 
-    const ranked = supported
-        .map((model) => model.name)
-        .filter((name) => !name.includes('embedding'))
-        .sort((a, b) => {
-            const score = (name) => {
-                if (name.includes('flash')) return 3;
-                if (name.includes('pro')) return 2;
-                return 1;
-            };
-            return score(b) - score(a);
-        });
-
-    cachedGeminiModel = ranked.length ? ranked[0].replace('models/', '') : geminiModel;
-    cachedGeminiModelAt = now;
-    return cachedGeminiModel;
+    const image = await loadImage(url, { timeoutMs });
+    if (!image) return null;
+    return { content: cache.store(url, image), image };
 }
 
-async function analyzeImageWithGemini(url, query, model) {
-    if (!geminiApiKey || !model) return null;
+async function analyzeImageWithVision(url, query, visionProvider, lang) {
+    if (!visionProvider) return null;
     if (shouldSkipUrl(url)) return null;
 
-    const response = await fetch(url, {
-        headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36'
-        }
-    });
+    const cache = getImageCache();
+    const prompt = buildColorPrompt(query, lang);
+    const promptKey = `${visionProvider.name}:${prompt}`;
+    const record = await loadImageRecord(url, { isComplete: (content) => content.vision.has(promptKey) });
+    if (!record) return null;
 
-    if (!response.ok) {
-        if (response.status === 403) return null;
-        throw new Error(`Image fetch failed: ${response.status}`);
-    }
-
-    const contentType = response.headers.get('content-type') || 'image/jpeg';
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    const base64 = buffer.toString('base64');
-
-    const { color, thing } = extractColorAndThing(query);
-    const targetColor = color || 'main';
-    const targetThing = thing || query;
-    const prompt = `Return only JSON. Question: What hex color values is "${targetColor}" on the "${targetThing}"?\n` +
-        `Schema: {"colors":["#RRGGBB", ...]}\n` +
-        `Rules: 2-5 colors, no extra text.`;
+    // The same bytes may already have been analysed under another URL
+    const cachedResult = cache.getVision(record.content, promptKey);
+    if (cachedResult) return cachedResult;
 
-    const body = {
-        contents: [
-            {
-                role: 'user',
-                parts: [
-                    { text: prompt },
-                    { inlineData: { mimeType: contentType, data: base64 } }
-                ]
-            }
-        ]
-    };
+    const result = await analyzeBufferWithVision(record.image, query, visionProvider, lang);
+    if (result) cache.setVision(record.content, promptKey, result);
+    return result;
+}
 
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
-    const geminiResponse = await fetch(endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
+function analyzeBufferWithVision({ buffer, contentType }, query, visionProvider, lang) {
+    return visionProvider.analyze({
+        prompt: buildColorPrompt(query, lang),
+        base64: buffer.toString('base64'),
+        contentType
     });
-
-    if (!geminiResponse.ok) {
-        const errorText = await geminiResponse.text();
-        throw new Error(`Gemini API error: ${geminiResponse.status} ${errorText}`);
-    }
-
-    const payload = await geminiResponse.json();
-    const text = payload?.candidates?.[0]?.content?.parts
-        ?.map((part) => part.text || '')
-        .join('') || '';
-
-    const json = extractJsonObject(text);
-    if (!json) return null;
-
-    const colors = normalizeHexList(json.colors);
-    if (!colors.length) return null;
-
-    return { colors };
 }
 
 async function mapWithLimit(items, limit, mapper) {
@@ -198,7 +125,7 @@ async function mapWithLimit(items, limit, mapper) {
             try {
                 results[current] = await mapper(items[current], current);
             } catch (error) {
-                console.error('Gemini analysis failed:', items[current], error.message);
+                console.error('Vision analysis failed:', items[current], error.message);
                 results[current] = null;
             }
         }
@@ -208,122 +135,83 @@ async function mapWithLimit(items, limit, mapper) {
     return results;
 }
 
-// Helper to get dominant color from an image URL
-async function getDominantColor(url) {
+// Helper: Convert an [r, g, b] triple to an uppercase hex string
+function rgbArrayToHex(col) {
+    return "#" + ((1 << 24) + (col[0] << 16) + (col[1] << 8) + col[2]).toString(16).slice(1).toUpperCase();
+}
+
+// Helper to download an image (or reuse its cached record) and sample its usable pixels.
+// Returns { pixels, palette, mode }; the samples and their quantised palette are stored on
+// the record per extraction setting for repeat analyses.
+async function getImagePixels(url, extraction = defaultExtraction) {
     try {
         if (shouldSkipUrl(url)) return null;
-        let signal;
-        let timeoutId;
-        if (typeof AbortController !== 'undefined') {
-            const controller = new AbortController();
-            timeoutId = setTimeout(() => controller.abort(), 4000);
-            signal = controller.signal;
-        }
-
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36'
-            },
-            signal
-        });
-
-        if (timeoutId) clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            if (response.status === 403) return null;
-            throw new Error(`Image fetch failed: ${response.status}`);
+        const cache = getImageCache();
+        const key = extractionKey(extraction);
+        const record = await loadImageRecord(url, { timeoutMs: 4000, isComplete: (content) => content.samples.has(key) });
+        if (!record) return null;
+        if (!record.content.samples.has(key)) {
+            const { pixels, mode } = await extractPixels(record.image.buffer, extraction);
+            const colorMap = pixels.length ? quantize(pixels, 5) : null;
+            cache.setSample(record.content, key, { pixels, palette: colorMap ? colorMap.palette() : [], mode });
         }
-
-        const arrayBuffer = await response.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-
-        // Downscale to keep processing lightweight while preserving dominant color.
-        const { data, info } = await sharp(buffer)
-            .resize({ width: 180, height: 180, fit: 'inside', withoutEnlargement: true })
-            .ensureAlpha()
-            .raw()
-            .toBuffer({ resolveWithObject: true });
-
-        const pixelCount = info.width * info.height;
-        const pixelArray = [];
-
-        // Sample every 10th pixel for performance
-        for (let i = 0; i < pixelCount; i += 10) {
-            const offset = i * 4;
-            const r = data[offset];
-            const g = data[offset + 1];
-            const b = data[offset + 2];
-            const a = data[offset + 3];
-
-            // Ignore transparent or very white/black pixels
-            if (a < 125) continue;
-            if (r > 250 && g > 250 && b > 250) continue;
-            if (r < 10 && g < 10 && b < 10) continue;
-
-            pixelArray.push([r, g, b]);
-        }
-
-        if (pixelArray.length === 0) return null;
-
-        const colorMap = quantize(pixelArray, 5);
-        const palette = colorMap.palette();
-
-        // Return top color
-        return palette[0]; // [r, g, b]
+        return cache.getSample(record.content, key);
     } catch (error) {
         console.error('Error analyzing image:', url, error.message);
         return null;
     }
 }
 
-// Simple image search scraper (DuckDuckGo HTML fallback or similar)
-// For this demo, since we don't have an API key, we'll try to use a free specialized source
-// or scrape a public search result page.
-// A robust way without keys is tricky.
-// We will use 'unsplash' source API for demo purposes as it is reliable for "concepts".
-// Robust image search trying multiple sources
-async function searchImages(query, options = {}) {
-    const { offset = 0, count = 10 } = options;
-    const headers = {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5'
-    };
+// Helper to get dominant color from an image URL, with the extraction mode that found it
+async function getDominantColor(url, extraction) {
+    const sample = await getImagePixels(url, extraction);
+    if (!sample || !sample.palette.length) return null;
 
-    try {
-        console.log(`Searching images for: ${query} (trying DuckDuckGo/Bing)`);
-
-        // Using a Bing Scraper fallback which is generally more permissive for demo purposes
-        const bingUrl = `https://www.bing.com/images/async?q=${encodeURIComponent(query)}&first=${offset}&count=${count}&mmasync=1`;
-
-        // Add 3s timeout to prevent hanging (if supported)
-        let signal;
-        let timeoutId;
-        if (typeof AbortController !== 'undefined') {
-            const controller = new AbortController();
-            timeoutId = setTimeout(() => controller.abort(), 3000);
-            signal = controller.signal;
-        }
+    // Return top color
+    return { color: sample.palette[0], mode: sample.mode }; // color: [r, g, b]
+}
+
+// Quantize pooled pixels into a palette ranked by how many pixels map to each colour
+function buildRankedPalette(pixelArray, size) {
+    if (!pixelArray.length) return [];
+
+    const colorMap = quantize(pixelArray, size);
+    if (!colorMap) return [];
 
-        const response = await fetch(bingUrl, { headers, signal });
-        if (timeoutId) clearTimeout(timeoutId);
+    const counts = new Map();
+    for (const pixel of pixelArray) {
+        const hex = rgbArrayToHex(colorMap.map(pixel));
+        counts.set(hex, (counts.get(hex) || 0) + 1);
+    }
 
-        if (!response.ok) throw new Error(`Bing returned ${response.status}`);
+    return Array.from(counts.entries())
+        .map(([color, count]) => ({ color, share: count / pixelArray.length }))
+        .sort((a, b) => b.share - a.share)
+        .slice(0, size);
+}
 
-        const html = await response.text();
+let defaultProvider = null;
+let defaultVisionProvider;
 
-        // Bing typically puts images in murl or similar.
-        const murlRegex = /murl&quot;:&quot;(https?:\/\/[^&]+)&quot;/g;
-        let match;
-        const urls = [];
+// Created lazily so the providers see env vars loaded by dotenv in server.js
+function getDefaultProvider() {
+    if (!defaultProvider) defaultProvider = createProviderFromEnv();
+    return defaultProvider;
+}
 
-        while ((match = murlRegex.exec(html)) !== null && urls.length < count) {
-            urls.push(match[1]);
-        }
+export function getDefaultVisionProvider() {
+    if (defaultVisionProvider === undefined) defaultVisionProvider = createVisionProviderFromEnv();
+    return defaultVisionProvider;
+}
 
+// Search images through the given provider (or the configured chain). Never throws:
+// a failed search simply yields no images.
+async function searchImages(query, options = {}) {
+    const { offset = 0, count = 10, lang, provider = getDefaultProvider() } = options;
+    try {
+        const urls = await provider.search(query, { offset, count, lang });
         console.log(`Found ${urls.length} images for ${query}`);
         return urls;
-
     } catch (e) {
         console.error('Search failed:', e);
         return [];
@@ -331,72 +219,159 @@ async function searchImages(query, options = {}) {
 }
 
 export async function analyzeColorFromQuery(query, options = {}) {
-    const { searchQuery = query, offset = 0, count = 10 } = options;
+    const {
+        searchQuery = query,
+        offset = 0,
+        count = 10,
+        lang,
+        provider,
+        extraction = defaultExtraction,
+        visionProvider = getDefaultVisionProvider(),
+        onProgress = null
+    } = options;
     console.log(`Analyzing color for: ${query}`);
+    // Progress events for streaming clients: "search" once, then "image" per analysed image
+    const progress = (type, data) => {
+        if (onProgress) onProgress(type, data);
+    };
 
     // 1. Search images
-    const imageUrls = await searchImages(searchQuery, { offset, count });
+    const imageUrls = await searchImages(searchQuery, { offset, count, lang, provider });
+    progress('search', { query: searchQuery, offset, images: imageUrls.length });
     if (imageUrls.length === 0) return null;
 
     // 2. Analyze images to build a candidate list
-    // Prefer Gemini vision analysis when configured; fallback to dominant colors.
-    const candidates = [];
-    const colorCounts = new Map();
-    let orderCounter = 0;
+    // Prefer vision-model analysis when configured; fallback to dominant colors.
+    // Every colour found is one vote; mode records how it was found ("vision" or the pixel
+    // extraction mode).
+    const votes = [];
     const urls = imageUrls.slice(0, count);
 
-    if (geminiApiKey) {
-        const model = await fetchGeminiModel();
-        console.log('[Gemini] Using model:', model || 'none');
-        const results = await mapWithLimit(urls, 3, (url) => analyzeImageWithGemini(url, query, model));
+    if (visionProvider) {
+        console.log('[Vision] Using provider:', await visionProvider.describe());
+        const results = await mapWithLimit(urls, 3, async (url) => {
+            try {
+                const result = await analyzeImageWithVision(url, query, visionProvider, lang);
+                progress('image', { url, colors: result && Array.isArray(result.colors) ? result.colors : [], mode: 'vision' });
+                return result;
+            } catch (error) {
+                progress('image', { url, colors: [], mode: 'vision', error: error.message });
+                throw error;
+            }
+        });
 
         for (const result of results) {
             if (!result) continue;
             const colors = Array.isArray(result.colors) ? result.colors : [];
             for (const color of colors) {
-                if (!colorCounts.has(color)) {
-                    colorCounts.set(color, { count: 1, order: orderCounter++ });
-                } else {
-                    colorCounts.get(color).count += 1;
-                }
+                votes.push({ color, mode: 'vision' });
             }
         }
     }
 
-    if (!geminiApiKey && !warnedMissingGeminiKey) {
-        console.warn('Gemini API key is missing; falling back to dominant color analysis.');
-        warnedMissingGeminiKey = true;
+    if (!visionProvider && !warnedMissingVisionProvider) {
+        console.warn('No vision provider configured; falling back to dominant color analysis.');
+        warnedMissingVisionProvider = true;
     }
 
-    if (colorCounts.size === 0) {
-        const processPromises = urls.map(url => getDominantColor(url));
+    if (votes.length === 0) {
+        const processPromises = urls.map(async (url) => {
+            const dominant = await getDominantColor(url, extraction);
+            progress('image', { url, colors: dominant ? [rgbArrayToHex(dominant.color)] : [], mode: dominant ? dominant.mode : null });
+            return dominant;
+        });
         const results = await Promise.allSettled(processPromises);
 
         for (const result of results) {
             if (result.status === 'fulfilled' && result.value) {
-                const col = result.value;
-                const hex = "#" + ((1 << 24) + (col[0] << 16) + (col[1] << 8) + col[2]).toString(16).slice(1).toUpperCase();
-                if (!colorCounts.has(hex)) {
-                    colorCounts.set(hex, { count: 1, order: orderCounter++ });
-                } else {
-                    colorCounts.get(hex).count += 1;
-                }
+                votes.push({ color: rgbArrayToHex(result.value.color), mode: result.value.mode });
             }
         }
     }
 
-    if (colorCounts.size === 0) return null;
+    // 3. Merge near-identical colours so votes count per perceptually distinct colour, then
+    // rank by combined weight (ties keep first-seen order)
+    const ranked = clusterColors(votes).sort((a, b) => b.weight - a.weight);
+    if (ranked.length === 0) return null;
+    console.log(`Clustered ${votes.length} colours into ${ranked.length} candidates`);
 
-    const ranked = Array.from(colorCounts.entries())
-        .map(([color, meta]) => ({ color, count: meta.count, order: meta.order }))
-        .sort((a, b) => {
-            if (b.count !== a.count) return b.count - a.count;
-            return a.order - b.order;
-        });
+    const candidates = [];
+    const modes = {};
+    const weights = {};
+    for (const cluster of ranked) {
+        candidates.push(cluster.color);
+        modes[cluster.color] = cluster.mode;
+        weights[cluster.color] = cluster.weight;
+    }
 
-    for (const entry of ranked) {
-        candidates.push(entry.color);
+    return { candidates, modes, weights };
+}
+
+
+export const paletteSizeRange = { min: 3, max: 8 };
+
+// Build a ranked palette for a query by pooling sampled pixels from every analysed image,
+// so each colour's share reflects its coverage across the whole result set.
+// extraction is reported as the mode most images were sampled with.
+export async function analyzePaletteFromQuery(query, options = {}) {
+    const { searchQuery = query, offset = 0, count = 5, size = 5, lang, provider, extraction = defaultExtraction } = options;
+    const paletteSize = Math.min(paletteSizeRange.max, Math.max(paletteSizeRange.min, Math.round(size)));
+    console.log(`Analyzing palette (${paletteSize}) for: ${query}`);
+
+    const imageUrls = await searchImages(searchQuery, { offset, count, lang, provider });
+    if (imageUrls.length === 0) return null;
+
+    const results = await Promise.allSettled(imageUrls.slice(0, count).map((url) => getImagePixels(url, extraction)));
+    const pooled = [];
+    const imagesByExtraction = {};
+    let imagesAnalyzed = 0;
+    for (const result of results) {
+        if (result.status === 'fulfilled' && result.value && result.value.pixels.length) {
+            imagesAnalyzed += 1;
+            imagesByExtraction[result.value.mode] = (imagesByExtraction[result.value.mode] || 0) + 1;
+            for (const pixel of result.value.pixels) pooled.push(pixel);
+        }
     }
 
-    return candidates;
+    const colors = buildRankedPalette(pooled, paletteSize);
+    if (!colors.length) return null;
+
+    const mode = Object.keys(imagesByExtraction)
+        .sort((a, b) => imagesByExtraction[b] - imagesByExtraction[a] || (b === extraction.mode) - (a === extraction.mode))[0];
+    return { colors, imagesAnalyzed, extraction: mode, imagesByExtraction };
+}
+
+// Analyse an uploaded image: dominant colour plus a ranked palette, and optionally the
+// vision-model colours for a user-supplied query. Throws if the buffer is not a readable image.
+export async function analyzeImageBuffer(buffer, options = {}) {
+    const {
+        contentType = 'image/jpeg',
+        size = 5,
+        query = '',
+        lang,
+        extraction = defaultExtraction,
+        visionProvider = getDefaultVisionProvider()
+    } = options;
+    const paletteSize = Math.min(paletteSizeRange.max, Math.max(paletteSizeRange.min, Math.round(size)));
+
+    const { pixels, mode } = await extractPixels(buffer, extraction);
+    const colors = buildRankedPalette(pixels, paletteSize);
+
+    let vision = null;
+    if (query && visionProvider) {
+        try {
+            const result = await analyzeBufferWithVision({ buffer, contentType }, query, visionProvider, lang);
+            if (result) vision = { query, colors: result.colors };
+        } catch (error) {
+            console.error('Vision analysis failed for upload:', error.message);
+        }
+    }
+
+    return {
+        color: colors[0]?.color || null,
+        colors,
+        extraction: mode,
+        vision,
+        visionAvailable: !!visionProvider
+    };
 }
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+
+// Per-image analysis cache. URLs map to the content hash (and ETag) of what they last served,
+// and analyses are stored per content hash, so the same picture behind two URLs is analysed
+// once. A content record holds the downloaded size, the sampled pixels and quantised palette
+// per extraction setting, and the vision colours per prompt. Records are in memory only, LRU-bounded, with their own TTL.
+
+const defaults = {
+    ttlMs: 6 * 60 * 60 * 1000,
+    maxEntries: 300
+};
+
+export function hashImage(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Pixels are kept as packed RGB bytes; the analysis code works on [r, g, b] triples
+function packPixels(pixels) {
+    const packed = new Uint8Array(pixels.length * 3);
+    pixels.forEach(([r, g, b], i) => packed.set([r, g, b], i * 3));
+    return packed;
+}
+
+function unpackPixels(packed) {
+    const pixels = [];
+    for (let i = 0; i < packed.length; i += 3) pixels.push([packed[i], packed[i + 1], packed[i + 2]]);
+    return pixels;
+}
+
+export function createImageCache(options = {}) {
+    const { ttlMs = defaults.ttlMs, maxEntries = defaults.maxEntries } = options;
+
+    // url -> { hash, etag, fetchedAt }; hash -> content record. Both iterate least recent first.
+    const urls = new Map();
+    const contents = new Map();
+    const counters = { hits: 0, misses: 0, revalidated: 0, deduplicated: 0, visionHits: 0, evictions: 0 };
+
+    function touch(map, key, value) {
+        map.delete(key);
+        map.set(key, value);
+    }
+
+    function evict() {
+        while (contents.size > maxEntries) {
+            contents.delete(contents.keys().next().value);
+            counters.evictions += 1;
+        }
+        // URLs only point at contents, so a few per entry is plenty
+        while (urls.size > maxEntries * 4) urls.delete(urls.keys().next().value);
+    }
+
+    return {
+        // Cached state for a URL: { content, etag, fresh } or null when unknown or evicted.
+        // Stale entries are still returned so the caller can revalidate them with the ETag.
+        lookup(url) {
+            const known = urls.get(url);
+            const content = known ? contents.get(known.hash) : null;
+            if (!content) {
+                counters.misses += 1;
+                return null;
+            }
+            touch(urls, url, known);
+            touch(contents, known.hash, content);
+            const fresh = Date.now() - known.fetchedAt < ttlMs;
+            counters[fresh ? 'hits' : 'misses'] += 1;
+            return { content, etag: known.etag, fresh };
+        },
+
+        // The server answered 304 Not Modified: the URL is fresh again
+        revalidated(url) {
+            const known = urls.get(url);
+            if (!known) return;
+            known.fetchedAt = Date.now();
+            counters.revalidated += 1;
+        },
+
+        // Record a download. Returns the content record for its bytes, reusing an existing
+        // record when another URL already served the same image.
+        store(url, { buffer, contentType, etag }) {
+            const hash = hashImage(buffer);
+            let content = contents.get(hash);
+            if (content) {
+                counters.deduplicated += 1;
+                touch(contents, hash, content);
+            } else {
+                content = { hash, bytes: buffer.length, contentType, samples: new Map(), vision: new Map() };
+                contents.set(hash, content);
+            }
+            touch(urls, url, { hash, etag: etag || null, fetchedAt: Date.now() });
+            evict();
+            return content;
+        },
+
+        // Samples per extraction key ("whole", "subject"...); mode is the extraction that produced them
+        setSample(content, key, { pixels, palette, mode }) {
+            content.samples.set(key, { pixels: packPixels(pixels), palette, mode });
+        },
+
+        getSample(content, key) {
+            const sample = content.samples.get(key);
+            return sample ? { pixels: unpackPixels(sample.pixels), palette: sample.palette, mode: sample.mode } : null;
+        },
+
+        getVision(content, promptKey) {
+            if (!content.vision.has(promptKey)) return null;
+            counters.visionHits += 1;
+            return content.vision.get(promptKey);
+        },
+
+        setVision(content, promptKey, colors) {
+            content.vision.set(promptKey, colors);
+        },
+
+        clear() {
+            const cleared = contents.size;
+            urls.clear();
+            contents.clear();
+            return cleared;
+        },
+
+        stats() {
+            let downloadedBytes = 0;
+            let pixelBytes = 0;
+            let visionResults = 0;
+            for (const content of contents.values()) {
+                downloadedBytes += content.bytes;
+                for (const sample of content.samples.values()) pixelBytes += sample.pixels.byteLength;
+                visionResults += content.vision.size;
+            }
+            const lookups = counters.hits + counters.misses;
+            return {
+                urls: urls.size,
+                entries: contents.size,
+                maxEntries,
+                ttlMs,
+                downloadedBytes,
+                pixelBytes,
+                visionResults,
+                ...counters,
+                hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null
+            };
+        }
+    };
+}
+
+function readPositive(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+// IMAGE_CACHE_TTL_MINUTES and IMAGE_CACHE_MAX_ENTRIES override the defaults
+export function createImageCacheFromEnv(env = process.env) {
+    return createImageCache({
+        ttlMs: readPositive(env.IMAGE_CACHE_TTL_MINUTES, defaults.ttlMs / 60000) * 60000,
+        maxEntries: Math.floor(readPositive(env.IMAGE_CACHE_MAX_ENTRIES, defaults.maxEntries))
+    });
+}
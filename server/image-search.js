@@ -0,0 +1,259 @@
+import fetch from 'node-fetch';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { languages, tokenizeText } from './languages.js';
+
+// Image search providers share one shape: { name, search(query, { offset, count, lang }) => Promise<string[]> }.
+// Results are image URLs; local files are returned as file:// URLs so the analysis code
+// can load every result through loadImage() regardless of where it came from.
+
+const userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36';
+const imageExtensions = new Set(['.jpg', '.jpeg', '.png', '.webp', '.gif', '.avif', '.tif', '.tiff']);
+const mimeTypes = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.avif': 'image/avif',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff'
+};
+
+function normalizeKey(text) {
+    return tokenizeText(text).join(' ');
+}
+
+// Helper: Fetch with an optional abort timeout
+async function fetchWithTimeout(url, options = {}, timeoutMs = 0) {
+    let signal;
+    let timeoutId;
+    if (timeoutMs && typeof AbortController !== 'undefined') {
+        const controller = new AbortController();
+        timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        signal = controller.signal;
+    }
+
+    try {
+        return await fetch(url, { ...options, signal });
+    } finally {
+        if (timeoutId) clearTimeout(timeoutId);
+    }
+}
+
+// Load an image result (http(s) or file URL) into { buffer, contentType, etag }.
+// Returns null for images the host refuses to serve (403) so callers can skip them quietly.
+// With options.etag the request is conditional and an unchanged image gives { notModified: true }.
+export async function loadImage(url, options = {}) {
+    const { timeoutMs = 0, etag = null } = options;
+
+    if (url.startsWith('file:')) {
+        const filePath = fileURLToPath(url);
+        const buffer = await fs.readFile(filePath);
+        const contentType = mimeTypes[path.extname(filePath).toLowerCase()] || 'image/jpeg';
+        return { buffer, contentType };
+    }
+
+    const headers = { 'User-Agent': userAgent };
+    if (etag) headers['If-None-Match'] = etag;
+    const response = await fetchWithTimeout(url, { headers }, timeoutMs);
+
+    if (response.status === 304 && etag) return { notModified: true };
+    if (!response.ok) {
+        if (response.status === 403) return null;
+        throw new Error(`Image fetch failed: ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || 'image/jpeg';
+    const arrayBuffer = await response.arrayBuffer();
+    return { buffer: Buffer.from(arrayBuffer), contentType, etag: response.headers.get('etag') };
+}
+
+// Bing image search scraper (no API key needed). Throws when Bing is unreachable or
+// blocks us so a chain can fall through to the next provider.
+export function createBingProvider(options = {}) {
+    const { timeoutMs = 3000 } = options;
+
+    return {
+        name: 'bing',
+        async search(query, { offset = 0, count = 10, lang } = {}) {
+            console.log(`Searching images for: ${query} (Bing${lang ? `, ${lang}` : ''})`);
+            // A query language searches that language's market, so "žalia jūra" finds Lithuanian pages
+            const market = lang && languages[lang] ? languages[lang].market : null;
+            const marketParams = market ? `&mkt=${market}&setlang=${lang}` : '';
+            const bingUrl = `https://www.bing.com/images/async?q=${encodeURIComponent(query)}&first=${offset}&count=${count}&mmasync=1${marketParams}`;
+
+            const response = await fetchWithTimeout(bingUrl, {
+                headers: {
+                    'User-Agent': userAgent,
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+                    'Accept-Language': market ? `${market},${lang};q=0.8,en;q=0.5` : 'en-US,en;q=0.5'
+                }
+            }, timeoutMs);
+
+            if (!response.ok) throw new Error(`Bing returned ${response.status}`);
+
+            const html = await response.text();
+
+            // Bing typically puts images in murl or similar.
+            const murlRegex = /murl&quot;:&quot;(https?:\/\/[^&]+)&quot;/g;
+            let match;
+            const urls = [];
+
+            while ((match = murlRegex.exec(html)) !== null && urls.length < count) {
+                urls.push(match[1]);
+            }
+
+            return urls;
+        }
+    };
+}
+
+async function listImageFiles(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listImageFiles(fullPath));
+        } else if (imageExtensions.has(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+function toImageUrl(ref, baseDir) {
+    if (/^(https?|file):/i.test(ref)) return ref;
+    return pathToFileURL(path.resolve(baseDir, ref)).href;
+}
+
+// Directory entries are keyed by the words in their relative path, so
+// images/ocean-blue/wave.jpg answers "ocean blue" and "blue wave".
+async function indexDirectory(directory) {
+    const files = await listImageFiles(directory);
+    return files.sort().map((file) => {
+        const relative = path.relative(directory, file).replace(path.extname(file), '');
+        return { key: normalizeKey(relative), urls: [pathToFileURL(file).href] };
+    });
+}
+
+// Manifest format: { "ocean blue": ["ocean/1.jpg", "https://..."] } or
+// [{ "query": "ocean blue", "images": [...] }]. Relative paths resolve against the manifest file.
+async function indexManifest(manifestPath) {
+    const raw = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    const baseDir = path.dirname(path.resolve(manifestPath));
+    const records = Array.isArray(raw)
+        ? raw.map((item) => [item.query, item.images])
+        : Object.entries(raw);
+
+    return records
+        .filter(([query, images]) => typeof query === 'string' && Array.isArray(images))
+        .map(([query, images]) => ({
+            key: normalizeKey(query),
+            urls: images.filter((ref) => typeof ref === 'string').map((ref) => toImageUrl(ref, baseDir))
+        }));
+}
+
+// Offline provider backed by a local image directory and/or a fixture manifest.
+// An exact query match wins; otherwise entries are ranked by how many query words they share.
+export function createLocalProvider(options = {}) {
+    const { directory, manifest } = options;
+    if (!directory && !manifest) {
+        throw new Error('Local image provider needs a directory or a manifest');
+    }
+
+    let indexPromise = null;
+    const loadIndex = () => {
+        if (!indexPromise) {
+            indexPromise = Promise.all([
+                directory ? indexDirectory(directory) : [],
+                manifest ? indexManifest(manifest) : []
+            ]).then(([fromDirectory, fromManifest]) => [...fromManifest, ...fromDirectory]);
+            // Allow a retry after a transient read failure
+            indexPromise.catch(() => { indexPromise = null; });
+        }
+        return indexPromise;
+    };
+
+    return {
+        name: 'local',
+        async search(query, { offset = 0, count = 10 } = {}) {
+            const index = await loadIndex();
+            const key = normalizeKey(query);
+            const queryTokens = new Set(tokenizeText(query));
+
+            const exact = index.filter((entry) => entry.key === key);
+            const ranked = exact.length ? exact : index
+                .map((entry) => ({
+                    entry,
+                    score: entry.key.split(' ').filter((token) => queryTokens.has(token)).length
+                }))
+                .filter((item) => item.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .map((item) => item.entry);
+
+            const urls = [];
+            const seen = new Set();
+            for (const entry of ranked) {
+                for (const url of entry.urls) {
+                    if (!seen.has(url)) {
+                        seen.add(url);
+                        urls.push(url);
+                    }
+                }
+            }
+
+            return urls.slice(offset, offset + count);
+        }
+    };
+}
+
+// Try providers in order and return the first non-empty result. A provider that throws
+// (blocked, offline, bad markup) is logged and skipped rather than failing the query.
+export function createChainProvider(providers) {
+    return {
+        name: providers.map((provider) => provider.name).join('>'),
+        async search(query, options = {}) {
+            for (const provider of providers) {
+                try {
+                    const urls = await provider.search(query, options);
+                    if (urls && urls.length) return urls;
+                } catch (error) {
+                    console.warn(`Image provider ${provider.name} failed:`, error.message);
+                }
+            }
+            return [];
+        }
+    };
+}
+
+// Build the provider chain from the environment:
+// IMAGE_SEARCH_PROVIDERS=bing,local (order = fallback order), LOCAL_IMAGE_DIR, LOCAL_IMAGE_MANIFEST.
+export function createProviderFromEnv(env = process.env) {
+    const names = (env.IMAGE_SEARCH_PROVIDERS || 'bing')
+        .split(',')
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const providers = [];
+    for (const name of names) {
+        if (name === 'bing') {
+            providers.push(createBingProvider());
+        } else if (name === 'local') {
+            if (!env.LOCAL_IMAGE_DIR && !env.LOCAL_IMAGE_MANIFEST) {
+                console.warn('Local image provider requested but LOCAL_IMAGE_DIR/LOCAL_IMAGE_MANIFEST are not set; skipping.');
+                continue;
+            }
+            providers.push(createLocalProvider({
+                directory: env.LOCAL_IMAGE_DIR,
+                manifest: env.LOCAL_IMAGE_MANIFEST
+            }));
+        } else {
+            console.warn(`Unknown image search provider "${name}"; skipping.`);
+        }
+    }
+
+    return createChainProvider(providers);
+}
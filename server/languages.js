@@ -0,0 +1,32 @@
+// Query languages. `market` is the Bing market the image search runs in, `name` tells the
+// vision model which language the colour words are in, and `dictionary` is the bundled
+// colour-name file in ./dictionaries.
+
+export const languages = {
+    en: { name: 'English', market: 'en-US' },
+    lt: { name: 'Lithuanian', market: 'lt-LT', dictionary: 'lt.json' },
+    de: { name: 'German', market: 'de-DE', dictionary: 'de.json' },
+    fr: { name: 'French', market: 'fr-FR', dictionary: 'fr.json' },
+    es: { name: 'Spanish', market: 'es-ES', dictionary: 'es.json' }
+};
+
+// "de", "DE" and "de-AT" all resolve to "de". Returns null for anything unsupported.
+export function normalizeLanguage(value) {
+    if (typeof value !== 'string') return null;
+    const code = value.trim().toLowerCase().split(/[-_]/)[0];
+    return languages[code] ? code : null;
+}
+
+// Lowercased words of any script: "Žalia jūra" -> ['žalia', 'jūra']
+export function tokenizeText(text) {
+    return String(text)
+        .normalize('NFC')
+        .toLowerCase()
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+// "žalia" -> "zalia", "grün" -> "grun", so names match when typed without accents
+export function foldDiacritics(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+}
@@ -0,0 +1,433 @@
+import { toJsonSchema } from './validation.js';
+import { generateRequestSchema, generateResponseFields, maxQueryLength, maxStep } from './generator.js';
+import { languages } from './languages.js';
+import { extractionModes } from './extraction.js';
+import { harmonySchemes } from './harmony.js';
+import { paletteSizeRange } from './image-analysis.js';
+
+// OpenAPI 3 description of /api/v1, served at /api/v1/openapi.json. Request bodies are built from
+// the validation schemas the routes use; responses are described here by hand.
+
+const hex = { type: 'string', pattern: '^#[0-9A-F]{6}$', example: '#3A5FCD' };
+const hexParameter = { type: 'string', pattern: '^#?([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$' };
+const generationSources = ['raw_exact', 'raw_spectrum', 'learned', 'weighted_raw', 'analyzed_candidate', 'multi_color'];
+const extractionResults = ['vision', ...extractionModes];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+function jsonResponse(description, schema) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+function errorResponse(description) {
+    return jsonResponse(description, ref('Error'));
+}
+
+// Helper: Query parameters from a validation schema, for GET routes that take the POST fields
+function toParameters(schema) {
+    const { properties, required = [] } = toJsonSchema(schema);
+    return Object.entries(properties).map(([name, property]) => ({
+        name,
+        in: 'query',
+        required: required.includes(name),
+        schema: property
+    }));
+}
+
+function queryParameter(name, schema, description, required = false) {
+    return { name, in: 'query', required, description, schema };
+}
+
+const limitResponses = {
+    401: errorResponse('No API key, and not a request from the app\'s origin, or the key is invalid or revoked'),
+    429: {
+        description: 'Rate limit or daily quota reached',
+        headers: { 'Retry-After': { description: 'Seconds until the rate limit allows the request', schema: { type: 'integer' } } },
+        content: { 'application/json': { schema: ref('Error') } }
+    }
+};
+
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: { error: { type: 'string' } }
+    },
+    Generation: {
+        type: 'object',
+        description: 'Every successful generation has the required fields; the others depend on source.',
+        required: generateResponseFields,
+        properties: {
+            color: hex,
+            source: { type: 'string', enum: generationSources },
+            step: { type: 'integer', minimum: 0, maximum: maxStep, description: 'Candidate index the colour came from; the requested step for sources without candidates' },
+            confidence: { type: 'number', nullable: true, minimum: 0, maximum: 1, description: 'Share of image votes (analysed sources) or vote confidence (learned); null for dictionary colours' },
+            warnings: { type: 'array', items: { type: 'string' } },
+            extraction: { type: 'string', nullable: true, enum: [...extractionResults, null] },
+            modifiers: { type: 'array', items: { type: 'object' } },
+            weight: { type: 'number', description: 'weighted_raw: share of the dictionary colour in the blend' },
+            votes: {
+                type: 'object',
+                description: 'learned: votes behind the colour',
+                properties: { likes: { type: 'integer' }, dislikes: { type: 'integer' } }
+            },
+            kind: { type: 'string', description: 'multi_color: how the terms were joined, e.g. "gradient"' },
+            colors: {
+                type: 'array',
+                description: 'multi_color: one colour per term',
+                items: {
+                    type: 'object',
+                    required: ['term', 'name', 'color'],
+                    properties: { term: { type: 'string' }, name: { type: 'string' }, color: hex, extraction: { type: 'string', enum: extractionResults } }
+                }
+            },
+            gradient: { type: 'array', items: hex, description: 'multi_color gradients: OKLab stops' },
+            palette: { type: 'array', items: ref('PaletteColor'), description: 'analysed sources: the top candidates with their vote share' }
+        }
+    },
+    PaletteColor: {
+        type: 'object',
+        required: ['color', 'share'],
+        properties: { color: hex, share: { type: 'number', minimum: 0, maximum: 1 } }
+    },
+    Palette: {
+        type: 'object',
+        required: ['query', 'colors', 'imagesAnalyzed', 'extraction', 'source'],
+        properties: {
+            query: { type: 'string' },
+            colors: { type: 'array', items: ref('PaletteColor') },
+            imagesAnalyzed: { type: 'integer' },
+            extraction: { type: 'string', enum: extractionModes },
+            imagesByExtraction: { type: 'object', additionalProperties: { type: 'integer' } },
+            source: { type: 'string', enum: ['analyzed_palette'] }
+        }
+    },
+    ImageAnalysis: {
+        type: 'object',
+        required: ['color', 'colors', 'extraction', 'vision', 'source', 'warnings'],
+        properties: {
+            color: hex,
+            colors: { type: 'array', items: ref('PaletteColor') },
+            extraction: { type: 'string', enum: extractionModes },
+            vision: {
+                type: 'object',
+                nullable: true,
+                properties: { query: { type: 'string' }, colors: { type: 'array', items: { type: 'string' } } }
+            },
+            source: { type: 'string', enum: ['uploaded_image'] },
+            warnings: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    BatchItem: {
+        oneOf: [ref('BatchResult'), ref('BatchError')]
+    },
+    BatchResult: {
+        type: 'object',
+        description: 'A generated query: the Generation envelope with its index and query',
+        required: ['index', 'query', 'status', ...generateResponseFields],
+        properties: {
+            index: { type: 'integer' },
+            query: { type: 'string' },
+            status: { type: 'string', enum: ['ok'] },
+            color: hex,
+            source: { type: 'string', enum: generationSources },
+            step: { type: 'integer', minimum: 0, maximum: maxStep },
+            confidence: { type: 'number', nullable: true, minimum: 0, maximum: 1 },
+            warnings: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    BatchError: {
+        type: 'object',
+        required: ['index', 'status', 'httpStatus', 'error'],
+        properties: {
+            index: { type: 'integer' },
+            query: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['error'] },
+            httpStatus: { type: 'integer' },
+            error: { type: 'string' }
+        }
+    },
+    Batch: {
+        type: 'object',
+        required: ['items', 'summary'],
+        properties: {
+            items: { type: 'array', items: ref('BatchItem') },
+            summary: {
+                type: 'object',
+                properties: { total: { type: 'integer' }, succeeded: { type: 'integer' }, failed: { type: 'integer' }, durationMs: { type: 'integer' } }
+            }
+        }
+    },
+    Usage: {
+        type: 'object',
+        required: ['key', 'date', 'quota', 'used', 'remaining', 'history'],
+        properties: {
+            key: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, prefix: { type: 'string' } } },
+            date: { type: 'string', format: 'date' },
+            quota: {
+                type: 'object',
+                properties: { generationsPerDay: { type: 'integer', nullable: true }, visionPerDay: { type: 'integer', nullable: true } }
+            },
+            used: { type: 'object', properties: { generations: { type: 'integer' }, vision: { type: 'integer' } } },
+            remaining: {
+                type: 'object',
+                properties: { generations: { type: 'integer', nullable: true }, vision: { type: 'integer', nullable: true } }
+            },
+            history: {
+                type: 'array',
+                items: { type: 'object', properties: { date: { type: 'string', format: 'date' }, generations: { type: 'integer' }, vision: { type: 'integer' } } }
+            }
+        }
+    }
+};
+
+// requestSchemas: the validation schemas of the routes' bodies ({ palette, batch, analyzeImage,
+// feedback, apiKey }); generation's comes from generator.js
+export function createOpenApiDocument(requestSchemas) {
+    const batchRequest = toJsonSchema(requestSchemas.batch);
+    batchRequest.properties.queries.items = {
+        oneOf: [{ type: 'string', maxLength: maxQueryLength }, toJsonSchema(generateRequestSchema)]
+    };
+    const analyzeImageRequest = toJsonSchema(requestSchemas.analyzeImage);
+    const lang = queryParameter('lang', { type: 'string', enum: Object.keys(languages) }, 'Dictionary to try first');
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Colour Generator API',
+            version: '1.0.0',
+            description: 'Colours from text descriptions by image analysis. The unversioned /api routes are aliases of /api/v1.'
+        },
+        servers: [{ url: '/api/v1' }],
+        security: [{}, { apiKey: [] }],
+        components: {
+            securitySchemes: {
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Needed except from the app\'s own origin' },
+                adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN; without one, admin routes only answer locally' }
+            },
+            schemas: {
+                ...schemas,
+                GenerateRequest: toJsonSchema(generateRequestSchema),
+                PaletteRequest: toJsonSchema(requestSchemas.palette),
+                BatchRequest: batchRequest,
+                AnalyzeImageRequest: analyzeImageRequest,
+                FeedbackRequest: toJsonSchema(requestSchemas.feedback),
+                ApiKeyRequest: toJsonSchema(requestSchemas.apiKey)
+            }
+        },
+        paths: {
+            '/generate': {
+                post: {
+                    summary: 'Generate a colour for a text description',
+                    requestBody: { required: true, content: { 'application/json': { schema: ref('GenerateRequest') } } },
+                    responses: {
+                        200: jsonResponse('The colour', ref('Generation')),
+                        400: errorResponse('Invalid request'),
+                        502: errorResponse('No colour could be analysed'),
+                        ...limitResponses
+                    }
+                }
+            },
+            '/generate/stream': {
+                get: {
+                    summary: 'Generate a colour with Server-Sent Events progress',
+                    description: 'Events: status, search, image and candidates while the colour is worked out, then one result event (a Generation) or a failure event ({ status, error }).',
+                    parameters: toParameters(generateRequestSchema),
+                    responses: {
+                        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+                        ...limitResponses
+                    }
+                }
+            },
+            '/generate/batch': {
+                post: {
+                    summary: 'Generate colours for many queries',
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': { schema: ref('BatchRequest') },
+                            'text/csv': { schema: { type: 'string' } },
+                            'multipart/form-data': { schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } } } }
+                        }
+                    },
+                    responses: {
+                        200: {
+                            description: 'One item per query',
+                            content: { 'application/json': { schema: ref('Batch') }, 'text/csv': { schema: { type: 'string' } } }
+                        },
+                        400: errorResponse('Invalid request'),
+                        413: errorResponse('Too many queries or too large a file'),
+                        ...limitResponses
+                    }
+                }
+            },
+            '/palette': {
+                post: {
+                    summary: `Ranked ${paletteSizeRange.min}-${paletteSizeRange.max} colour palette for a text description`,
+                    requestBody: { required: true, content: { 'application/json': { schema: ref('PaletteRequest') } } },
+                    responses: {
+                        200: jsonResponse('The palette', ref('Palette')),
+                        400: errorResponse('Invalid request'),
+                        502: errorResponse('No palette could be analysed'),
+                        ...limitResponses
+                    }
+                }
+            },
+            '/analyze-image': {
+                post: {
+                    summary: 'Dominant colour and palette of an uploaded image',
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'multipart/form-data': {
+                                schema: { ...analyzeImageRequest, properties: { ...analyzeImageRequest.properties, image: { type: 'string', format: 'binary' } } }
+                            },
+                            'application/json': { schema: ref('AnalyzeImageRequest') }
+                        }
+                    },
+                    responses: {
+                        200: jsonResponse('The image\'s colours', ref('ImageAnalysis')),
+                        400: errorResponse('Invalid request'),
+                        413: errorResponse('Image too large'),
+                        422: errorResponse('Unreadable image'),
+                        ...limitResponses
+                    }
+                }
+            },
+            '/name': {
+                get: {
+                    summary: 'Nearest colour names',
+                    parameters: [
+                        queryParameter('hex', hexParameter, 'Colour to name', true),
+                        queryParameter('limit', { type: 'integer', minimum: 1, maximum: 20 }, 'Number of matches'),
+                        lang
+                    ],
+                    responses: {
+                        200: jsonResponse('Matches, nearest first', {
+                            type: 'object',
+                            properties: {
+                                hex,
+                                name: { type: 'string', nullable: true },
+                                matches: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, hex, deltaE: { type: 'number' } } } }
+                            }
+                        }),
+                        400: errorResponse('Invalid colour')
+                    }
+                }
+            },
+            '/contrast': {
+                get: {
+                    summary: 'WCAG and APCA contrast of a background colour',
+                    parameters: [
+                        queryParameter('hex', hexParameter, 'Background colour', true),
+                        queryParameter('against', hexParameter, 'Text colour checked besides white and black')
+                    ],
+                    responses: {
+                        200: jsonResponse('One check per text colour', {
+                            type: 'object',
+                            properties: { hex, checks: { type: 'array', items: { type: 'object', properties: { label: { type: 'string' }, against: hex, ratio: { type: 'number' } } } } }
+                        }),
+                        400: errorResponse('Invalid colour')
+                    }
+                }
+            },
+            '/harmony': {
+                get: {
+                    summary: 'Colour harmonies in OKLCH',
+                    parameters: [
+                        queryParameter('hex', hexParameter, 'Base colour', true),
+                        queryParameter('scheme', { type: 'string', enum: harmonySchemes }, 'One scheme instead of all'),
+                        queryParameter('query', { type: 'string' }, 'Keep members inside the spectrum of the colour this names'),
+                        lang
+                    ],
+                    responses: {
+                        200: jsonResponse('Colours per scheme', {
+                            type: 'object',
+                            properties: {
+                                hex,
+                                constrainedTo: { type: 'string', nullable: true },
+                                schemes: { type: 'object', additionalProperties: { type: 'array', items: hex } }
+                            }
+                        }),
+                        400: errorResponse('Invalid colour or scheme')
+                    }
+                }
+            },
+            '/simulate': {
+                get: {
+                    summary: 'Colours as seen with colour-vision deficiencies',
+                    parameters: [
+                        queryParameter('hex', { type: 'string' }, '1-16 comma-separated colours', true),
+                        queryParameter('threshold', { type: 'number', minimum: 0, maximum: 50 }, 'CIEDE2000 distance below which colours are indistinguishable')
+                    ],
+                    responses: {
+                        200: jsonResponse('Simulated colours per deficiency', {
+                            type: 'object',
+                            properties: { colors: { type: 'array', items: hex }, threshold: { type: 'number' }, simulations: { type: 'object' } }
+                        }),
+                        400: errorResponse('Invalid colours or threshold')
+                    }
+                }
+            },
+            '/feedback': {
+                post: {
+                    summary: 'Like or dislike a generated colour',
+                    requestBody: { required: true, content: { 'application/json': { schema: ref('FeedbackRequest') } } },
+                    responses: {
+                        200: jsonResponse('Recorded', { type: 'object', properties: { success: { type: 'boolean' } } }),
+                        400: errorResponse('Malformed vote'),
+                        ...limitResponses
+                    }
+                }
+            },
+            '/usage': {
+                get: {
+                    summary: 'Quota and usage of the calling API key',
+                    security: [{ apiKey: [] }],
+                    responses: { 200: jsonResponse('Usage', ref('Usage')), 401: limitResponses[401] }
+                }
+            },
+            '/admin/keys': {
+                get: {
+                    summary: 'List API keys with today\'s usage',
+                    security: [{ adminToken: [] }],
+                    responses: { 200: { description: 'Keys and anonymous usage' }, 401: errorResponse('Admin token required'), 403: errorResponse('Not local') }
+                },
+                post: {
+                    summary: 'Issue an API key; the response is the only copy of the key',
+                    security: [{ adminToken: [] }],
+                    requestBody: { required: true, content: { 'application/json': { schema: ref('ApiKeyRequest') } } },
+                    responses: { 201: { description: 'The key and its record' }, 400: errorResponse('Invalid request'), 401: errorResponse('Admin token required') }
+                }
+            },
+            '/admin/keys/{id}': {
+                delete: {
+                    summary: 'Revoke an API key',
+                    security: [{ adminToken: [] }],
+                    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: { 200: { description: 'The revoked key' }, 404: errorResponse('No such key') }
+                }
+            },
+            '/admin/cache': {
+                get: {
+                    summary: 'Candidate and image cache statistics',
+                    security: [{ adminToken: [] }],
+                    responses: { 200: { description: 'Cache statistics' } }
+                },
+                delete: {
+                    summary: 'Purge one query\'s cached candidates, or everything',
+                    security: [{ adminToken: [] }],
+                    parameters: [queryParameter('query', { type: 'string' }, 'Query to purge; all entries without it')],
+                    responses: { 200: { description: 'Purged counts and statistics' } }
+                }
+            },
+            '/openapi.json': {
+                get: {
+                    summary: 'This document',
+                    security: [{}],
+                    responses: { 200: { description: 'OpenAPI 3 document' } }
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,312 @@
+import { hexToOklch, oklchToHex, mixOklab, hueDifference, normalizeHue } from './color-space.js';
+import { lookupColor } from './color-names.js';
+import { tokenizeText } from './languages.js';
+
+// Query parser: splits a colour query into the subject to analyse ("ocean") and the
+// modifiers to apply afterwards ("very dark", "pastel", "a bit more green"). Modifiers are
+// deterministic OKLCH adjustments, so the same phrase always moves a colour the same way.
+
+// Longest multi-word colour name the parser checks for ("dark slate gray")
+const maxColorNameWords = 4;
+
+// Intensity prefixes scale the modifier that follows them
+const intensityPhrases = {
+    'a bit': 0.5,
+    'a little': 0.5,
+    'a touch': 0.4,
+    'a lot': 1.75,
+    slightly: 0.5,
+    somewhat: 0.6,
+    much: 1.5,
+    very: 1.75,
+    really: 1.75,
+    super: 2,
+    extremely: 2.25
+};
+
+// OKLCH hues the temperature modifiers pull towards
+const warmHue = 55;
+const coolHue = 245;
+
+// Base adjectives ("dark ocean") only count when followed by another word, so subjects like
+// "candle light" keep their noun. Comparatives ("darker") count anywhere.
+const modifierWords = {
+    dark: { type: 'lightness', operation: 'lightness', amount: -0.12 },
+    deep: { type: 'lightness', operation: 'lightness', amount: -0.1 },
+    light: { type: 'lightness', operation: 'lightness', amount: 0.12 },
+    darker: { type: 'lightness', operation: 'lightness', amount: -0.12, comparative: true },
+    deeper: { type: 'lightness', operation: 'lightness', amount: -0.1, comparative: true },
+    lighter: { type: 'lightness', operation: 'lightness', amount: 0.12, comparative: true },
+    pale: { type: 'saturation', operation: 'pastel', amount: 0.5 },
+    paler: { type: 'saturation', operation: 'pastel', amount: 0.5, comparative: true },
+    pastel: { type: 'saturation', operation: 'pastel', amount: 0.8 },
+    muted: { type: 'saturation', operation: 'chroma', amount: 0.6 },
+    dusty: { type: 'saturation', operation: 'chroma', amount: 0.55 },
+    dull: { type: 'saturation', operation: 'chroma', amount: 0.6 },
+    faded: { type: 'saturation', operation: 'chroma', amount: 0.65 },
+    greyish: { type: 'saturation', operation: 'chroma', amount: 0.5 },
+    grayish: { type: 'saturation', operation: 'chroma', amount: 0.5 },
+    bright: { type: 'saturation', operation: 'chroma', amount: 1.35 },
+    vivid: { type: 'saturation', operation: 'chroma', amount: 1.4 },
+    vibrant: { type: 'saturation', operation: 'chroma', amount: 1.4 },
+    saturated: { type: 'saturation', operation: 'chroma', amount: 1.4 },
+    brighter: { type: 'saturation', operation: 'chroma', amount: 1.35, comparative: true },
+    duller: { type: 'saturation', operation: 'chroma', amount: 0.6, comparative: true },
+    neon: { type: 'saturation', operation: 'neon', amount: 0.8 },
+    fluorescent: { type: 'saturation', operation: 'neon', amount: 0.8 },
+    warm: { type: 'temperature', operation: 'temperature', amount: 15, target: warmHue },
+    cool: { type: 'temperature', operation: 'temperature', amount: 15, target: coolHue },
+    cold: { type: 'temperature', operation: 'temperature', amount: 20, target: coolHue },
+    warmer: { type: 'temperature', operation: 'temperature', amount: 15, target: warmHue, comparative: true },
+    cooler: { type: 'temperature', operation: 'temperature', amount: 15, target: coolHue, comparative: true },
+    colder: { type: 'temperature', operation: 'temperature', amount: 20, target: coolHue, comparative: true }
+};
+
+// Connectives left dangling by a removed modifier ("ocean, but darker")
+const connectives = new Set(['but', 'and', 'with', 'just', 'only']);
+
+// Words joining the terms of a multi-colour query; the gradient ones make "blue to green"
+// a blend rather than a set of separate colours
+const termConnectors = new Set(['and', 'or', 'to', 'into', 'through', 'und', 'et', 'y', 'ir']);
+const gradientConnectors = new Set(['to', 'into', 'through']);
+
+// "more green" mixes this much of the named colour in; "less green" rotates this far away
+const moreColorWeight = 0.2;
+const lessColorDegrees = 15;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+export function tokenizeColorQuery(query) {
+    return tokenizeText(query);
+}
+
+// Length of the longest registry colour name starting at tokens[start], or 0
+function matchColorName(tokens, start, lang) {
+    for (let length = Math.min(maxColorNameWords, tokens.length - start); length > 0; length--) {
+        if (lookupColor(tokens.slice(start, start + length).join(' '), { lang })) return length;
+    }
+    return 0;
+}
+
+function matchIntensity(tokens, start) {
+    const pair = tokens.slice(start, start + 2).join(' ');
+    if (intensityPhrases[pair]) return { factor: intensityPhrases[pair], length: 2 };
+    if (intensityPhrases[tokens[start]]) return { factor: intensityPhrases[tokens[start]], length: 1 };
+    return null;
+}
+
+// Scale a modifier definition by an intensity factor. Negative factors invert it ("less dark");
+// pastel and neon have no inverse and return null.
+function scaleModifier(definition, factor) {
+    const { type, operation, amount, target } = definition;
+    switch (operation) {
+        case 'lightness':
+            return { type, operation, amount: round(amount * factor) };
+        case 'chroma':
+            return { type, operation, amount: round(Math.pow(amount, factor)) };
+        case 'temperature':
+            return { type, operation, amount: round(amount * factor), target };
+        case 'pastel':
+        case 'neon':
+            if (factor <= 0) return null;
+            return { type, operation, amount: round(Math.min(1, amount * factor)) };
+        default:
+            return null;
+    }
+}
+
+// Modifier starting at tokens[start]: [intensity] (word | more/less word | more/less colour)
+function matchModifier(tokens, start, lang) {
+    let index = start;
+    let factor = 1;
+    const intensity = matchIntensity(tokens, index);
+    if (intensity) {
+        factor = intensity.factor;
+        index += intensity.length;
+    }
+
+    const word = tokens[index];
+    let modifier = null;
+    let next = index + 1;
+
+    if (word === 'more' || word === 'less') {
+        const colorLength = matchColorName(tokens, index + 1, lang);
+        const definition = modifierWords[tokens[index + 1]];
+        if (colorLength) {
+            const entry = lookupColor(tokens.slice(index + 1, index + 1 + colorLength).join(' '), { lang });
+            next = index + 1 + colorLength;
+            modifier = word === 'more'
+                ? { type: 'hue', operation: 'mix', amount: round(Math.min(0.9, moreColorWeight * factor)), color: entry.hex, name: entry.name }
+                : { type: 'hue', operation: 'away', amount: round(lessColorDegrees * factor), color: entry.hex, name: entry.name };
+        } else if (definition) {
+            next = index + 2;
+            modifier = scaleModifier(definition, word === 'more' ? factor * 1.5 : -factor);
+        }
+    } else if (modifierWords[word]) {
+        const definition = modifierWords[word];
+        if (definition.comparative || index + 1 < tokens.length) {
+            modifier = scaleModifier(definition, factor);
+        }
+    }
+
+    if (!modifier) return null;
+    return { modifier: { phrase: tokens.slice(start, next).join(' '), ...modifier }, next };
+}
+
+// Split a query into { subject, modifiers }. Registry colour names are never read as
+// modifiers, so a loaded "light blue" stays a colour. A query made only of modifiers is
+// returned unchanged with no modifiers. options.lang picks the colour-name dictionary.
+export function parseColorQuery(query, options = {}) {
+    const { lang } = options;
+    const tokens = tokenizeColorQuery(query);
+    const subjectTokens = [];
+    const modifiers = [];
+
+    let index = 0;
+    while (index < tokens.length) {
+        const colorLength = matchColorName(tokens, index, lang);
+        if (colorLength) {
+            subjectTokens.push(...tokens.slice(index, index + colorLength));
+            index += colorLength;
+            continue;
+        }
+
+        const match = matchModifier(tokens, index, lang);
+        if (match) {
+            if (connectives.has(subjectTokens[subjectTokens.length - 1])) subjectTokens.pop();
+            modifiers.push(match.modifier);
+            index = match.next;
+            continue;
+        }
+
+        subjectTokens.push(tokens[index]);
+        index++;
+    }
+
+    if (!subjectTokens.length) {
+        return { subject: query.trim(), modifiers: [] };
+    }
+    return { subject: subjectTokens.join(' '), modifiers };
+}
+
+function applyModifier(hex, modifier) {
+    const [lightness, chroma, hue] = hexToOklch(hex);
+    const { operation, amount } = modifier;
+
+    switch (operation) {
+        case 'lightness':
+            return oklchToHex([Math.min(0.98, Math.max(0.05, lightness + amount)), chroma, hue]);
+        case 'chroma':
+            return oklchToHex([lightness, chroma * amount, hue]);
+        case 'pastel':
+            // Pull towards a light, low-chroma tint
+            return oklchToHex([
+                lightness + (0.88 - lightness) * amount,
+                chroma + (Math.min(chroma, 0.07) - chroma) * amount,
+                hue
+            ]);
+        case 'neon':
+            // Pull towards a bright, high-chroma tone; oklchToHex maps it back into gamut
+            return oklchToHex([lightness + (0.8 - lightness) * amount, chroma * (1 + amount), hue]);
+        case 'temperature': {
+            const difference = hueDifference(hue, modifier.target);
+            const shift = amount >= 0
+                ? Math.sign(difference) * Math.min(Math.abs(difference), amount)
+                : Math.sign(difference || 1) * amount;
+            return oklchToHex([lightness, chroma, normalizeHue(hue + shift)]);
+        }
+        case 'mix':
+            return mixOklab(modifier.color, hex, amount);
+        case 'away': {
+            // Only hues within 90 degrees of the named colour are pushed away from it
+            const difference = hueDifference(hue, hexToOklch(modifier.color)[2]);
+            if (Math.abs(difference) >= 90) return hex;
+            return oklchToHex([lightness, chroma, normalizeHue(hue - Math.sign(difference || 1) * amount)]);
+        }
+        default:
+            return hex;
+    }
+}
+
+export function applyModifiers(hex, modifiers) {
+    return modifiers.reduce((color, modifier) => applyModifier(color, modifier), hex);
+}
+
+// Modifier used by refine mode to nudge a colour towards the colour named in the query
+export function createMoreColorModifier(colorName, options = {}) {
+    const { weight = 0.1, lang } = options;
+    const entry = lookupColor(colorName, { lang });
+    if (!entry) return null;
+    return {
+        phrase: `${Math.round(weight * 100)} percent more ${entry.name}`,
+        type: 'hue',
+        operation: 'mix',
+        amount: weight,
+        color: entry.hex,
+        name: entry.name
+    };
+}
+
+// Split a multi-colour query ("navy and gold uniform", "from dark blue to green") into one term
+// per colour name, each with its own modifiers, plus the shared subject words. Returns null
+// unless the query has a connector and every part names a colour ("salt and pepper" does not).
+export function parseMultiColorQuery(query, options = {}) {
+    const { lang } = options;
+    const segments = [[]];
+    let gradient = false;
+    for (const token of tokenizeColorQuery(query)) {
+        // In a known language a connector can also be a colour word (French "or" is gold)
+        if (termConnectors.has(token) && !(lang && lookupColor(token, { lang }))) {
+            if (gradientConnectors.has(token)) gradient = true;
+            segments.push([]);
+        } else if (!(token === 'from' && segments.length === 1 && !segments[0].length)) {
+            segments[segments.length - 1].push(token);
+        }
+    }
+    if (segments.length < 2) return null;
+
+    const terms = [];
+    const thingTokens = [];
+    for (const segment of segments) {
+        if (!segment.length) return null;
+
+        const { subject, modifiers } = parseColorQuery(segment.join(' '), { lang });
+        const tokens = subject.split(' ');
+        const termCount = terms.length;
+        const segmentThing = new Set();
+        let index = 0;
+        while (index < tokens.length) {
+            const colorLength = matchColorName(tokens, index, lang);
+            if (colorLength) {
+                const match = tokens.slice(index, index + colorLength).join(' ');
+                const entry = lookupColor(match, { lang });
+                // Each term gets its own copies, so adjusting one term leaves the others alone
+                terms.push({ phrase: match, name: entry.name, hex: entry.hex, range: entry.range, modifiers: modifiers.map((modifier) => ({ ...modifier })) });
+                index += colorLength;
+            } else {
+                segmentThing.add(tokens[index]);
+                thingTokens.push(tokens[index]);
+                index++;
+            }
+        }
+        if (terms.length === termCount) return null;
+        // A part naming a single colour keeps its modifiers in the phrase ("dark blue")
+        if (terms.length === termCount + 1) {
+            terms[termCount].phrase = segment.filter((token) => !segmentThing.has(token)).join(' ');
+        }
+    }
+
+    return { kind: gradient ? 'gradient' : 'set', terms, thing: thingTokens.join(' ') };
+}
+
+// The distinct modifiers of several terms, in order. Terms from one part ("dark red blue")
+// carry equal copies, which are listed once.
+export function mergeModifiers(lists) {
+    const seen = new Set();
+    return lists.flat().filter((modifier) => {
+        const key = JSON.stringify(modifier);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
@@ -0,0 +1,70 @@
+// Token-bucket rate limits per client key (the IP address): each key's bucket holds up to
+// `capacity` tokens and refills continuously at capacity per `windowMs`. A request takes
+// `cost` tokens or is refused with the seconds until enough have refilled.
+export function createRateLimiter(options) {
+    const { capacity, windowMs = 60 * 1000, maxKeys = 10000 } = options;
+    const refillPerMs = capacity / windowMs;
+    const buckets = new Map();
+
+    function refill(key, now) {
+        const bucket = buckets.get(key);
+        if (!bucket) return { tokens: capacity, updatedAt: now };
+        const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        return { tokens, updatedAt: now };
+    }
+
+    // Helper: Full buckets carry no state, so they are dropped; the oldest keys go first when
+    // too many clients are tracked at once
+    function prune(now) {
+        for (const [key, bucket] of buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= capacity) buckets.delete(key);
+        }
+        while (buckets.size > maxKeys) buckets.delete(buckets.keys().next().value);
+    }
+
+    return {
+        capacity,
+        windowMs,
+
+        // { allowed, remaining, retryAfterSeconds }. A cost above capacity can never be paid.
+        take(key, cost = 1, now = Date.now()) {
+            const bucket = refill(key, now);
+            const allowed = cost <= bucket.tokens;
+            if (allowed) bucket.tokens -= cost;
+            buckets.delete(key);
+            buckets.set(key, bucket);
+            if (buckets.size > maxKeys) prune(now);
+
+            const missing = allowed ? 0 : Math.min(cost, capacity) - bucket.tokens;
+            return {
+                allowed,
+                remaining: Math.floor(bucket.tokens),
+                retryAfterSeconds: Math.max(1, Math.ceil(missing / refillPerMs / 1000))
+            };
+        },
+
+        startSweeper(intervalMs = windowMs) {
+            const timer = setInterval(() => prune(Date.now()), intervalMs);
+            timer.unref();
+            return timer;
+        },
+
+        stats() {
+            return { capacity, windowMs, clients: buckets.size };
+        }
+    };
+}
+
+// Limits from the environment; 0 turns a limit off
+export function rateLimitOptionsFromEnv(env = process.env) {
+    const read = (name, fallback) => {
+        const value = Number.parseInt(env[name], 10);
+        return Number.isInteger(value) && value >= 0 ? value : fallback;
+    };
+    return {
+        api: { capacity: read('RATE_LIMIT_API_PER_MINUTE', 120), windowMs: 60 * 1000 },
+        generate: { capacity: read('RATE_LIMIT_GENERATE_PER_MINUTE', 20), windowMs: 60 * 1000 },
+        batch: { capacity: read('RATE_LIMIT_BATCH_PER_HOUR', 400), windowMs: 60 * 60 * 1000 },
+        feedback: { capacity: read('RATE_LIMIT_FEEDBACK_PER_MINUTE', 30), windowMs: 60 * 1000 }
+    };
+}
@@ -1,33 +1,77 @@
 import dotenv from 'dotenv';
 import express from 'express';
 import cors from 'cors';
+import multer from 'multer';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { JSONFilePreset } from 'lowdb/node';
-import { analyzeColorFromQuery } from './image-analysis.js';
+import {
+    analyzePaletteFromQuery,
+    analyzeImageBuffer,
+    getImageCache,
+    getDefaultVisionProvider,
+    paletteSizeRange
+} from './image-analysis.js';
+import { parseHexColor } from './color-space.js';
+import { lookupColor, loadDictionariesFromEnv, findNearestColorNames } from './color-names.js';
+import { checkContrast } from './contrast.js';
+import { generateHarmony, generateHarmonies, harmonySchemes } from './harmony.js';
+import { simulateColors, defaultIndistinguishableDeltaE } from './color-vision.js';
+import { feedbackRatings, createFeedbackRecord } from './feedback.js';
+import { createCandidateCache, candidateCacheOptionsFromEnv } from './candidate-cache.js';
+import { extractionKey } from './extraction.js';
+import {
+    createGenerator,
+    readLanguage,
+    readExtraction,
+    findRawColorName,
+    toOklchHueRanges,
+    shiftHue,
+    maxQueryLength
+} from './generator.js';
+import { parseCsv, formatCsv } from './csv.js';
+import { createConcurrencyLimit } from './concurrency.js';
+import { validate } from './validation.js';
+import { createRateLimiter, rateLimitOptionsFromEnv } from './rate-limit.js';
+import { createApiKeyStore, apiKeyOptionsFromEnv } from './api-keys.js';
+import { createOpenApiDocument } from './openapi.js';
 
 const envPath = process.env.DOTENV_CONFIG_PATH || '/home/u185988180/domains/myfavouritecolour.online/public_html/.builds/config/.env';
 dotenv.config({ path: envPath });
+await loadDictionariesFromEnv();
 
 const app = express();
 const port = process.env.PORT || 3000;
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or "loopback") makes req.ip the client's address
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const rootDir = path.resolve(__dirname, '..');
 
-const candidateCache = new Map();
-const cacheTtlMs = 30 * 60 * 1000;
-
 // Setup DB (Optional / Failure-safe)
-const defaultData = { likes: [], candidateCache: {} };
+// `likes` is the legacy like-only log; new votes of either rating go to `feedback`
+const defaultData = { likes: [], feedback: [], candidateCache: {}, apiKeys: [], usage: {} };
 let db = null;
 
 try {
-    db = await JSONFilePreset(path.join(rootDir, 'db.json'), defaultData);
+    db = await JSONFilePreset(process.env.DB_FILE || path.join(rootDir, 'db.json'), defaultData);
     if (!db.data.candidateCache) {
         db.data.candidateCache = {};
     }
+    if (!db.data.feedback) {
+        db.data.feedback = [];
+    }
+    if (!db.data.apiKeys) {
+        db.data.apiKeys = [];
+    }
+    if (!db.data.usage) {
+        db.data.usage = {};
+    }
 } catch (err) {
     console.warn("Database initialization failed (likely read-only environment). features like 'Like' will not persist.", err);
     // Create a dummy in-memory DB or just let it be null and check before use
@@ -38,511 +82,687 @@ try {
     };
 }
 
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(rootDir, 'dist'))); // Serve frontend static files
-
-// Helper: Hashing fallback (reused logic)
-function getHashColor(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        hash = str.charCodeAt(i) + ((hash << 5) - hash);
+// Analysed candidates per query, bounded in memory and in db.json (see candidate-cache.js)
+const candidateCacheOptions = candidateCacheOptionsFromEnv();
+const candidateCache = createCandidateCache({
+    ...candidateCacheOptions,
+    store: {
+        load: () => db.data.candidateCache,
+        save: async (records) => {
+            db.data.candidateCache = records;
+            await db.update((data) => data);
+        }
     }
-    let color = '#';
-    for (let i = 0; i < 3; i++) {
-        const value = (hash >> (i * 8)) & 0xFF;
-        color += ('00' + value.toString(16)).substr(-2);
+});
+candidateCache.startSweeper(candidateCacheOptions.sweepIntervalMs);
+const generator = createGenerator({ candidateCache, getFeedbackRecords });
+
+// Issued API keys and per-day usage counters, kept next to the rest of the data in db.json
+const apiKeys = createApiKeyStore({
+    ...apiKeyOptionsFromEnv(),
+    store: {
+        load: () => ({ keys: db.data.apiKeys, usage: db.data.usage }),
+        save: async ({ keys, usage }) => {
+            db.data.apiKeys = keys;
+            db.data.usage = usage;
+            await db.update((data) => data);
+        }
     }
-    return color.toUpperCase();
-}
+});
 
-// Helper: Basic Color Dictionary with safe Hue Ranges (0-255 scale)
-// Approximate ranges: Red(0/255), Yellow(42), Green(85), Cyan(127), Blue(170), Magenta(213)
-const colorNames = {
-    'red': { hex: '#FF0000', range: [[0, 20], [235, 255]] },
-    'green': { hex: '#008000', range: [[60, 110]] },
-    'blue': { hex: '#0000FF', range: [[150, 190]] },
-    'yellow': { hex: '#FFFF00', range: [[30, 55]] },
-    'cyan': { hex: '#00FFFF', range: [[110, 145]] },
-    'magenta': { hex: '#FF00FF', range: [[195, 230]] },
-    'white': { hex: '#FFFFFF', range: [[0, 255]] },
-    'black': { hex: '#000000', range: [[0, 255]] },
-    'gray': { hex: '#808080', range: [[0, 255]] },
-    'grey': { hex: '#808080', range: [[0, 255]] },
-    'orange': { hex: '#FFA500', range: [[20, 45]] },
-    'purple': { hex: '#800080', range: [[180, 220]] },
-    'pink': { hex: '#FFC0CB', range: [[220, 250]] },
-    'brown': { hex: '#A52A2A', range: [[0, 30]] },
-    'lime': { hex: '#00FF00', range: [[70, 95]] },
-    'navy': { hex: '#000080', range: [[150, 180]] },
-    'teal': { hex: '#008080', range: [[110, 140]] },
-    'maroon': { hex: '#800000', range: [[240, 255], [0, 10]] },
-    'olive': { hex: '#808000', range: [[40, 70]] },
-    'silver': { hex: '#C0C0C0', range: [[0, 255]] },
-    'gold': { hex: '#FFD700', range: [[30, 50]] },
-    'violet': { hex: '#EE82EE', range: [[190, 230]] },
-    'indigo': { hex: '#4B0082', range: [[180, 200]] },
-    'turquoise': { hex: '#40E0D0', range: [[110, 140]] },
-    'beige': { hex: '#F5F5DC', range: [[25, 45]] },
-    'mint': { hex: '#98FF98', range: [[90, 120]] },
-    'lavender': { hex: '#E6E6FA', range: [[170, 200]] },
-    'coral': { hex: '#FF7F50', range: [[10, 30]] },
-    // Artist colours (examples, can be expanded)
-    'carmine red': { hex: '#960018', range: [[350, 10]] },
-    'alizarin crimson': { hex: '#E32636', range: [[350, 10]] },
-    'vermilion': { hex: '#E34234', range: [[5, 20]] },
-    'cadmium red': { hex: '#E30022', range: [[350, 10]] },
-    'ultramarine blue': { hex: '#3F00FF', range: [[220, 250]] },
-    'cerulean blue': { hex: '#2A52BE', range: [[200, 220]] },
-    'prussian blue': { hex: '#003153', range: [[180, 210]] },
-    'phthalo blue': { hex: '#000F89', range: [[220, 250]] },
-    'cobalt blue': { hex: '#0047AB', range: [[210, 230]] },
-    'viridian': { hex: '#40826D', range: [[120, 160]] },
-    'sap green': { hex: '#507D2A', range: [[80, 110]] },
-    'cadmium yellow': { hex: '#FFF600', range: [[50, 60]] },
-    'yellow ochre': { hex: '#CC7722', range: [[30, 45]] },
-    'raw sienna': { hex: '#D68A59', range: [[20, 40]] },
-    'burnt sienna': { hex: '#E97451', range: [[10, 30]] },
-    'raw umber': { hex: '#826644', range: [[20, 40]] },
-    'burnt umber': { hex: '#8A3324', range: [[10, 30]] },
-    'payne grey': { hex: '#536878', range: [[200, 240]] },
-    'indian yellow': { hex: '#E3A857', range: [[40, 60]] },
-    'quinacridone magenta': { hex: '#8E3A59', range: [[320, 340]] },
-    'permanent rose': { hex: '#E12C6A', range: [[330, 350]] },
-    'dioxazine purple': { hex: '#6A0DAD', range: [[260, 280]] },
-    'pyrrole orange': { hex: '#F76F1C', range: [[20, 40]] },
-    'naples yellow': { hex: '#FADA5E', range: [[45, 55]] },
-    'hooker green': { hex: '#49796B', range: [[100, 140]] },
-    'cerulean': { hex: '#007BA7', range: [[190, 210]] },
-    'manganese blue': { hex: '#1B6F9A', range: [[200, 220]] },
-    'buff titanium': { hex: '#D2C29D', range: [[40, 60]] }
-};
+const maxUploadBytes = 10 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxUploadBytes, files: 1 } });
 
-// Helper: Convert HEX to HSL
-function hexToHSL(hex) {
-    hex = hex.replace('#', '');
-    let r = parseInt(hex.substring(0, 2), 16) / 255;
-    let g = parseInt(hex.substring(2, 4), 16) / 255;
-    let b = parseInt(hex.substring(4, 6), 16) / 255;
-    let max = Math.max(r, g, b), min = Math.min(r, g, b);
-    let h, s, l = (max + min) / 2;
-    if (max === min) {
-        h = s = 0;
-    } else {
-        let d = max - min;
-        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-        switch (max) {
-            case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-            case g: h = (b - r) / d + 2; break;
-            case b: h = (r - g) / d + 4; break;
-        }
-        h /= 6;
-    }
-    return [h * 360, s * 100, l * 100];
+// Per-IP token buckets (see rate-limit.js): every API call takes from `api`, each image search
+// also from `generate`, every batch item from `batch` and every vote from `feedback`
+const rateLimiters = {};
+for (const [name, options] of Object.entries(rateLimitOptionsFromEnv())) {
+    if (options.capacity === 0) continue;
+    rateLimiters[name] = createRateLimiter(options);
+    rateLimiters[name].startSweeper();
 }
 
-// Helper: Convert HSL to HEX
-function hslToHex(h, s, l) {
-    h = h % 360;
-    s /= 100;
-    l /= 100;
-    let c = (1 - Math.abs(2 * l - 1)) * s;
-    let x = c * (1 - Math.abs((h / 60) % 2 - 1));
-    let m = l - c / 2;
-    let r = 0, g = 0, b = 0;
-    if (0 <= h && h < 60) { r = c; g = x; b = 0; }
-    else if (60 <= h && h < 120) { r = x; g = c; b = 0; }
-    else if (120 <= h && h < 180) { r = 0; g = c; b = x; }
-    else if (180 <= h && h < 240) { r = 0; g = x; b = c; }
-    else if (240 <= h && h < 300) { r = x; g = 0; b = c; }
-    else if (300 <= h && h < 360) { r = c; g = 0; b = x; }
-    r = Math.round((r + m) * 255);
-    g = Math.round((g + m) * 255);
-    b = Math.round((b + m) * 255);
-    return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
+// Helper: Take `cost` tokens from the client's bucket (per API key, or per IP for anonymous use)
+// and set the RateLimit headers. Answers 429 with Retry-After and returns false when it is short.
+function takeRateLimit(req, res, name, cost = 1) {
+    const limiter = rateLimiters[name];
+    if (!limiter) return true;
+    const client = req.account && !req.account.anonymous ? req.account.id : req.ip;
+    const { allowed, remaining, retryAfterSeconds } = limiter.take(client, cost);
+    res.set({
+        'RateLimit-Policy': `${limiter.capacity};w=${limiter.windowMs / 1000}`,
+        'RateLimit-Limit': String(limiter.capacity),
+        'RateLimit-Remaining': String(remaining)
+    });
+    if (allowed) return true;
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({ error: `Too many requests, retry in ${retryAfterSeconds} seconds` });
+    return false;
 }
 
-function tokenizeQuery(query) {
-    return query
-        .toLowerCase()
-        .split(/[^a-z]+/)
-        .filter(Boolean);
+function rateLimit(name) {
+    return (req, res, next) => {
+        if (takeRateLimit(req, res, name)) next();
+    };
 }
 
-function findRawColorName(query) {
-    // Try to match multi-word color names first (longest match)
-    const lowerQuery = query.toLowerCase();
-    // Sort color names by length descending to match longest first
-    const sortedNames = Object.keys(colorNames).sort((a, b) => b.length - a.length);
-    for (const name of sortedNames) {
-        if (lowerQuery.includes(name)) {
-            return name;
-        }
-    }
-    // Fallback: check tokens for single-word matches
-    const tokens = tokenizeQuery(query);
-    for (const token of tokens) {
-        if (colorNames[token]) return token;
+// Browser origins allowed to use the API without a key, besides the server's own
+const appOrigins = (process.env.APP_ORIGINS || '').split(',').map((origin) => origin.trim().replace(/\/$/, '')).filter(Boolean);
+
+// Helper: The page a request comes from, as a URL: its Origin, or Referer for browsers that
+// send no Origin on same-origin GETs. Null when neither parses.
+function requestingPage(req) {
+    try {
+        return new URL(req.get('origin') || req.get('referer'));
+    } catch {
+        return null;
     }
-    return null;
 }
 
-function isSingleRawColorQuery(query) {
-    const tokens = tokenizeQuery(query);
-    return tokens.length === 1 && !!colorNames[tokens[0]];
+// Helper: True for requests from the app's own pages (same host or APP_ORIGINS). Browsers set
+// Origin, or Referer on same-origin GETs, themselves, so other sites cannot use the page's access.
+// Other clients can send any header, which is why anonymous use has a daily quota per IP.
+// Hosts are compared rather than origins: behind a TLS-terminating proxy the page is https while
+// req.protocol is http unless TRUST_PROXY is set.
+function isAppRequest(req) {
+    const page = requestingPage(req);
+    return !!page && (page.host === req.get('host') || appOrigins.includes(page.origin));
 }
 
-function getCacheKey(query, analysisQuery) {
-    const q = query.toLowerCase().trim();
-    const a = analysisQuery.toLowerCase().trim();
-    return `${q}||${a}`;
+// Callers are identified by an `X-API-Key` header, or are the anonymous app. Admin routes have
+// their own token, and the API description is public.
+function identifyClient(req, res, next) {
+    if (req.path.startsWith('/admin/') || req.path === '/openapi.json') return next();
+    const key = req.get('x-api-key');
+    if (key) {
+        req.account = apiKeys.authenticate(key);
+        if (!req.account) return res.status(401).json({ error: 'Invalid or revoked API key' });
+        return next();
+    }
+    if (!isAppRequest(req)) {
+        return res.status(401).json({ error: 'API key required (X-API-Key header)' });
+    }
+    req.account = apiKeys.anonymous(req.ip);
+    return next();
 }
 
-function loadCachedEntry(key) {
-    const record = db?.data?.candidateCache?.[key];
-    if (!record) return null;
+// Helper: Count `amount` generations against the caller's daily quota. Answers 429 and returns
+// false when the quota would be exceeded. Generations are counted before they run, so concurrent
+// requests cannot overrun the quota, and given back with refundGenerations when they fail.
+async function chargeGenerations(req, res, amount = 1) {
+    if (await apiKeys.consume(req.account, 'generations', amount)) return true;
+    const limit = req.account.quota.generationsPerDay;
+    const hint = req.account.anonymous ? 'use an API key for more' : 'see /api/usage';
+    res.status(429).json({ error: `Daily generation quota of ${limit} reached, ${hint}` });
+    return false;
+}
 
-    return {
-        key,
-        createdAt: record.createdAt,
-        candidates: Array.isArray(record.candidates) ? record.candidates : [],
-        seen: new Set(Array.isArray(record.seen) ? record.seen : []),
-        pagesLoaded: record.pagesLoaded || 0
-    };
+function refundGenerations(req, amount = 1) {
+    if (amount > 0) apiKeys.refund(req.account, 'generations', amount);
 }
 
-async function persistCachedEntry(cache) {
-    if (!db?.data) return;
-    if (!db.data.candidateCache) db.data.candidateCache = {};
+// Only generations that answer a colour count: the charge is refunded when the route refuses the
+// request (400, 413), finds nothing (502) or sets res.locals.generationFailed, as the stream does
+async function chargeGeneration(req, res, next) {
+    if (!(await chargeGenerations(req, res))) return;
+    res.once('close', () => {
+        if (res.statusCode !== 200 || res.locals.generationFailed) refundGenerations(req);
+    });
+    next();
+}
 
-    db.data.candidateCache[cache.key] = {
-        createdAt: cache.createdAt,
-        candidates: cache.candidates,
-        seen: Array.from(cache.seen),
-        pagesLoaded: cache.pagesLoaded
+// Helper: The configured vision provider, counting each model call against the caller's daily
+// vision quota. Once that is used up, analyze() returns null, images are analysed by pixels and
+// quotaReached is set for withQuotaWarning.
+function meteredVisionProvider(account) {
+    const provider = getDefaultVisionProvider();
+    if (!provider) return null;
+    const metered = {
+        ...provider,
+        quotaReached: false,
+        async analyze(input) {
+            if (!(await apiKeys.consume(account, 'vision'))) {
+                metered.quotaReached = true;
+                return null;
+            }
+            return provider.analyze(input);
+        }
     };
+    return metered;
+}
 
-    try {
-        await db.update((data) => data);
-    } catch (error) {
-        console.warn('Failed to persist candidate cache:', error.message);
+// Helper: Add a warning to a successful body when the vision quota ran out during the request
+function withQuotaWarning(body, visionProvider) {
+    if (visionProvider && visionProvider.quotaReached && Array.isArray(body.warnings)) {
+        body.warnings.push('Daily vision quota reached; images were analysed by their pixels.');
     }
+    return body;
 }
 
-function getCandidateCache(query, analysisQuery) {
-    const key = getCacheKey(query, analysisQuery);
-    const now = Date.now();
-    const cached = candidateCache.get(key);
+// Access is controlled by identifyClient rather than CORS, so any origin may send a key
+app.use(cors({ exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'Retry-After'] }));
+// Base64 uploads need a larger body limit than the default JSON parser allows
+app.use(['/api/v1/analyze-image', '/api/analyze-image'], express.json({ limit: '15mb' }));
+app.use(['/api/v1/generate/batch', '/api/generate/batch'], express.text({ type: 'text/csv', limit: '1mb' }));
+app.use(express.json());
+app.use(express.static(path.join(rootDir, 'dist'))); // Serve frontend static files
 
-    if (cached && now - cached.createdAt < cacheTtlMs) {
-        return cached;
-    }
+// The API is versioned under /api/v1; the unversioned /api routes are aliases of v1
+const api = express.Router();
+app.use('/api/v1', api);
+app.use('/api', api);
+api.use(rateLimit('api'), identifyClient);
 
-    const persisted = loadCachedEntry(key);
-    if (persisted && now - persisted.createdAt < cacheTtlMs) {
-        candidateCache.set(key, persisted);
-        return persisted;
+// Helper: Hashing fallback (reused logic)
+function getHashColor(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        hash = str.charCodeAt(i) + ((hash << 5) - hash);
     }
+    let color = '#';
+    for (let i = 0; i < 3; i++) {
+        const value = (hash >> (i * 8)) & 0xFF;
+        color += ('00' + value.toString(16)).substr(-2);
+    }
+    return color.toUpperCase();
+}
 
-    const fresh = {
-        key,
-        createdAt: now,
-        candidates: [],
-        seen: new Set(),
-        pagesLoaded: 0
-    };
-    candidateCache.set(key, fresh);
-    persistCachedEntry(fresh);
-    return fresh;
+// Legacy like-only entries count as likes alongside the rated feedback log
+function getFeedbackRecords() {
+    const likes = db?.data?.likes || [];
+    const feedback = db?.data?.feedback || [];
+    return likes.concat(feedback);
 }
 
-async function getPopularCandidateForStep(query, analysisQuery, step) {
-    const pageSize = 5;
-    const maxPages = 10;
-    const targetIndex = Math.max(0, step);
-    const cache = getCandidateCache(query, analysisQuery);
-
-    while (cache.candidates.length <= targetIndex && cache.pagesLoaded < maxPages) {
-        const candidates = await analyzeColorFromQuery(query, {
-            searchQuery: analysisQuery,
-            offset: cache.pagesLoaded * pageSize,
-            count: pageSize
-        });
-
-        cache.pagesLoaded += 1;
-
-        let changed = false;
-        if (candidates && candidates.length) {
-            for (const candidate of candidates) {
-                if (!cache.seen.has(candidate)) {
-                    cache.seen.add(candidate);
-                    cache.candidates.push(candidate);
-                    changed = true;
-                }
-            }
+api.post('/generate', rateLimit('generate'), chargeGeneration, async (req, res) => {
+    const visionProvider = meteredVisionProvider(req.account);
+    const { status, body } = await generator.generate(req.body, { visionProvider });
+    res.status(status).json(withQuotaWarning(body, visionProvider));
+});
+
+// Server-Sent Events version of /api/generate for EventSource clients: the request is read from
+// the query string, then status, search, image and candidates events stream while the colour is
+// worked out, ending with one result event (the /api/generate body) or a failure event.
+api.get('/generate/stream', rateLimit('generate'), chargeGeneration, async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // The client may leave early; analysis still finishes (and is cached) but nothing is written
+    let open = true;
+    res.on('close', () => {
+        open = false;
+    });
+    const send = (type, data) => {
+        if (open) res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+        const visionProvider = meteredVisionProvider(req.account);
+        const { status, body } = await generator.generate(req.query, { onProgress: send, coerce: true, visionProvider });
+        if (status === 200) {
+            send('result', withQuotaWarning(body, visionProvider));
         } else {
-            break;
+            res.locals.generationFailed = true;
+            send('failure', { status, ...body });
         }
+    } catch (e) {
+        console.error('Streamed generation failed:', e);
+        res.locals.generationFailed = true;
+        send('failure', { status: 500, error: 'Generation failed' });
+    }
+    res.end();
+});
 
-        if (changed) {
-            await persistCachedEntry(cache);
-        }
+const paletteRequestSchema = {
+    query: { type: 'string', required: true, maxLength: maxQueryLength },
+    size: { type: 'integer', min: paletteSizeRange.min, max: paletteSizeRange.max },
+    lang: { type: 'string', maxLength: 16 },
+    extraction: { type: 'string', maxLength: 16 },
+    excludeSkin: { type: 'boolean' }
+};
+
+api.post('/palette', rateLimit('generate'), chargeGeneration, async (req, res) => {
+    const { value: fields, error, status } = validate(paletteRequestSchema, req.body);
+    if (error) {
+        return res.status(status).json({ error });
     }
+    const { query: normalizedQuery, size: paletteSize = 5 } = fields;
+    const { lang, error: languageError } = readLanguage(fields.lang);
+    if (languageError) {
+        return res.status(400).json({ error: languageError });
+    }
+    const { extraction, error: extractionError } = readExtraction(fields);
+    if (extractionError) {
+        return res.status(400).json({ error: extractionError });
+    }
+    console.log(`[Palette] query="${normalizedQuery}" size=${paletteSize}`);
 
-    if (cache.candidates.length > targetIndex) {
-        return { candidate: cache.candidates[targetIndex], candidates: cache.candidates, index: targetIndex };
+    let palette = null;
+    try {
+        palette = await analyzePaletteFromQuery(normalizedQuery, { size: paletteSize, lang, extraction });
+    } catch (e) {
+        console.warn('Palette analysis failed:', e.message);
     }
 
-    return { candidate: null, candidates: cache.candidates, index: targetIndex };
-}
+    if (!palette || palette.colors.length === 0) {
+        return res.status(502).json({ error: 'Image analysis failed, no palette generated.' });
+    }
 
-// Helper: Blend two colors
-function blendColors(color1, color2, weight1) {
-    const r1 = parseInt(color1.substring(1, 3), 16);
-    const g1 = parseInt(color1.substring(3, 5), 16);
-    const b1 = parseInt(color1.substring(5, 7), 16);
+    return res.json({
+        query: normalizedQuery,
+        colors: palette.colors,
+        imagesAnalyzed: palette.imagesAnalyzed,
+        extraction: palette.extraction,
+        imagesByExtraction: palette.imagesByExtraction,
+        source: 'analyzed_palette'
+    });
+});
 
-    const r2 = parseInt(color2.substring(1, 3), 16);
-    const g2 = parseInt(color2.substring(3, 5), 16);
-    const b2 = parseInt(color2.substring(5, 7), 16);
+api.get('/name', (req, res) => {
+    const hex = parseHexColor(req.query.hex);
+    if (!hex) {
+        return res.status(400).json({ error: 'Invalid hex, expected #RRGGBB' });
+    }
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit, 10) || 5));
+    const { lang, error: languageError } = readLanguage(req.query.lang);
+    if (languageError) {
+        return res.status(400).json({ error: languageError });
+    }
 
-    const r = Math.round(r1 * weight1 + r2 * (1 - weight1));
-    const g = Math.round(g1 * weight1 + g2 * (1 - weight1));
-    const b = Math.round(b1 * weight1 + b2 * (1 - weight1));
+    const matches = findNearestColorNames(hex, limit, { lang }).map((match) => ({
+        ...match,
+        deltaE: Math.round(match.deltaE * 100) / 100
+    }));
 
-    return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
-}
+    return res.json({ hex, name: matches[0]?.name || null, matches });
+});
 
-// Helper: Shift Hue
-// Ranges should be an array of [min, max] pairs. e.g. Red is [[0,20], [235, 255]]
-function shiftHue(hex, degree, ranges = null) {
-    let r = parseInt(hex.substring(1, 3), 16) / 255;
-    let g = parseInt(hex.substring(3, 5), 16) / 255;
-    let b = parseInt(hex.substring(5, 7), 16) / 255;
-
-    let max = Math.max(r, g, b), min = Math.min(r, g, b);
-    let h, s, l = (max + min) / 2;
-
-    if (max === min) {
-        h = s = 0; // achromatic
-    } else {
-        let d = max - min;
-        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-        switch (max) {
-            case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-            case g: h = (b - r) / d + 2; break;
-            case b: h = (r - g) / d + 4; break;
+// Contrast of the colour as a background against white, black and an optional text colour
+api.get('/contrast', (req, res) => {
+    const hex = parseHexColor(req.query.hex);
+    if (!hex) {
+        return res.status(400).json({ error: 'Invalid hex, expected #RRGGBB' });
+    }
+    let against = null;
+    if (req.query.against !== undefined && req.query.against !== '') {
+        against = parseHexColor(req.query.against);
+        if (!against) {
+            return res.status(400).json({ error: 'Invalid against colour, expected #RRGGBB' });
         }
-        h /= 6;
     }
 
-    // Convert to 0-255 scale
-    let hue255 = h * 255;
+    const checks = [
+        { label: 'white', ...checkContrast(hex, '#FFFFFF') },
+        { label: 'black', ...checkContrast(hex, '#000000') }
+    ];
+    if (against) {
+        checks.push({ label: 'custom', ...checkContrast(hex, against) });
+    }
 
-    // Apply Shift
-    // If ranges exist, we must loop strictly within them
-    if (ranges && ranges.length > 0) {
-        let currentRange = null;
+    return res.json({ hex, checks });
+});
 
-        // Find which range we are currently closest to or inside
-        // Simplification: Just check if we are inside one
-        for (const [min, max] of ranges) {
-            if (hue255 >= min && hue255 <= max) {
-                currentRange = [min, max];
-                break;
-            }
-        }
+// Harmonies of a colour; with a query naming a colour, members are kept inside its spectrum
+api.get('/harmony', (req, res) => {
+    const hex = parseHexColor(req.query.hex);
+    if (!hex) {
+        return res.status(400).json({ error: 'Invalid hex, expected #RRGGBB' });
+    }
+    const scheme = typeof req.query.scheme === 'string' && req.query.scheme ? req.query.scheme.toLowerCase() : null;
+    if (scheme && !harmonySchemes.includes(scheme)) {
+        return res.status(400).json({ error: `Unknown scheme, expected one of: ${harmonySchemes.join(', ')}` });
+    }
 
-        // If not in any range (e.g. analysis drifted), snap to the first range
-        if (!currentRange) currentRange = ranges[0];
+    const query = typeof req.query.query === 'string' ? req.query.query.trim() : '';
+    const { lang, error: languageError } = readLanguage(req.query.lang);
+    if (languageError) {
+        return res.status(400).json({ error: languageError });
+    }
+    const rawColorName = query ? findRawColorName(query, lang) : null;
+    const spectrumRanges = rawColorName ? lookupColor(rawColorName, { lang }).range : null;
+    const constrain = toOklchHueRanges(spectrumRanges)
+        ? (color) => shiftHue(color, 0, spectrumRanges)
+        : null;
 
-        // Shift within the range
-        const [min, max] = currentRange;
-        hue255 += degree;
+    const schemes = scheme
+        ? { [scheme]: generateHarmony(hex, scheme, { constrain }) }
+        : generateHarmonies(hex, { constrain });
 
-        // Loop locally until within range
-        while (hue255 > max) hue255 = min + (hue255 - max);
-        while (hue255 < min) hue255 = max - (min - hue255);
+    return res.json({ hex, constrainedTo: constrain ? rawColorName : null, schemes });
+});
 
-    } else {
-        // Global Loop (0-255)
-        hue255 += degree;
-        if (hue255 > 255) hue255 -= 255;
-        else if (hue255 < 0) hue255 += 255;
+// How a colour (or palette, comma-separated) looks with each colour-vision deficiency
+api.get('/simulate', (req, res) => {
+    const raw = typeof req.query.hex === 'string' ? req.query.hex.split(',') : [];
+    const colors = raw.map(parseHexColor);
+    if (colors.length === 0 || colors.length > 16 || colors.some((color) => !color)) {
+        return res.status(400).json({ error: 'Invalid hex list, expected 1-16 comma-separated #RRGGBB colours' });
     }
 
-    h = hue255 / 255;
+    let threshold = defaultIndistinguishableDeltaE;
+    if (req.query.threshold !== undefined) {
+        threshold = Number(req.query.threshold);
+        if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 50) {
+            return res.status(400).json({ error: 'Threshold must be a deltaE between 0 and 50' });
+        }
+    }
 
-    let q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-    let p = 2 * l - q;
+    return res.json({ colors, threshold, simulations: simulateColors(colors, { threshold }) });
+});
 
-    const hue2rgb = (p, q, t) => {
-        if (t < 0) t += 1;
-        if (t > 1) t -= 1;
-        if (t < 1 / 6) return p + (q - p) * 6 * t;
-        if (t < 1 / 2) return q;
-        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-        return p;
-    };
+// Batch generation runs every batch's queries through one shared concurrency limit
+// (BATCH_CONCURRENCY, default 3), so parallel batches queue instead of multiplying searches
+const maxBatchItems = 200;
+const batchLimit = createConcurrencyLimit(Math.max(1, Number.parseInt(process.env.BATCH_CONCURRENCY, 10) || 3));
+const batchColumns = ['query', 'status', 'color', 'source', 'confidence', 'error'];
+const batchFields = ['query', 'lang', 'extraction', 'excludeSkin'];
+const batchRequestSchema = {
+    queries: { type: 'array', maxItems: maxBatchItems },
+    format: { type: 'string', values: ['json', 'csv'] },
+    lang: { type: 'string', maxLength: 16 },
+    extraction: { type: 'string', maxLength: 16 },
+    excludeSkin: { type: 'boolean' }
+};
 
-    const toHex = x => {
-        const hex = Math.round(x * 255).toString(16);
-        return hex.length === 1 ? '0' + hex : hex;
-    };
+// Helper: CSV rows to batch items. A header row naming a "query" column maps the columns in
+// batchFields by name; without one, the first column is the query.
+function csvToBatchItems(text) {
+    const rows = parseCsv(text);
+    const header = rows.length ? rows[0].map((cell) => cell.trim().toLowerCase()) : [];
+    if (!header.includes('query')) return rows.map((row) => ({ query: row[0] }));
+
+    const columns = batchFields
+        .map((field) => ({ field, index: header.indexOf(field.toLowerCase()) }))
+        .filter(({ index }) => index >= 0);
+    return rows.slice(1).map((row) => {
+        const item = {};
+        for (const { field, index } of columns) {
+            if (row[index] !== undefined && row[index].trim() !== '') item[field] = row[index].trim();
+        }
+        return item;
+    });
+}
 
-    const rNew = hue2rgb(p, q, h + 1 / 3);
-    const gNew = hue2rgb(p, q, h);
-    const bNew = hue2rgb(p, q, h - 1 / 3);
+// Helper: Batch items from an uploaded CSV (multipart "file"), a text/csv body, or a JSON
+// `queries` array of strings or { query, lang, extraction, excludeSkin } objects
+function readBatchItems(req, queries) {
+    if (req.file) return csvToBatchItems(req.file.buffer.toString('utf8'));
+    if (typeof req.body === 'string') return csvToBatchItems(req.body);
+    if (!queries) return null;
+    return queries.map((entry) => {
+        if (typeof entry === 'string') return { query: entry };
+        if (!entry || typeof entry !== 'object') return { query: entry };
+        return Object.fromEntries(batchFields.filter((field) => entry[field] !== undefined).map((field) => [field, entry[field]]));
+    });
+}
 
-    return `#${toHex(rNew)}${toHex(gNew)}${toHex(bNew)}`.toUpperCase();
+// Generate one batch item; failures are reported on the item rather than failing the batch.
+// CSV fields are strings, so the item's values are coerced like a query string's.
+async function generateBatchItem(item, index, defaults, visionProvider) {
+    const request = {
+        query: item.query,
+        lang: item.lang ?? defaults.lang,
+        extraction: item.extraction ?? defaults.extraction,
+        excludeSkin: item.excludeSkin ?? defaults.excludeSkin,
+        step: 0
+    };
+    try {
+        const { status, body } = await generator.generate(request, { coerce: true, visionProvider });
+        if (status !== 200) {
+            return { index, query: item.query, status: 'error', httpStatus: status, error: body.error };
+        }
+        const { color, source, step, confidence, warnings } = body;
+        return { index, query: item.query, status: 'ok', color, source, step, confidence, warnings };
+    } catch (e) {
+        console.error(`Batch item ${index} failed:`, e);
+        return { index, query: item.query, status: 'error', httpStatus: 500, error: 'Generation failed' };
+    }
 }
 
-app.post('/api/generate', async (req, res) => {
-
-    const { query, previousColor, mode, step = 0 } = req.body;
-    if (typeof query !== 'string') {
-        return res.status(400).json({ error: 'Missing query' });
-    }
-    const normalizedQuery = query.trim();
-    if (!normalizedQuery) {
-        return res.status(400).json({ error: 'Empty query' });
-    }
-    console.log(`[Generate] query="${normalizedQuery}" mode=${mode || 'new'} step=${step}`);
-
-    // Find the first raw color in the query (even if not single word)
-    const rawColorName = findRawColorName(normalizedQuery);
-    const rawColorData = rawColorName ? colorNames[rawColorName] : null;
-    const spectrumRanges = rawColorName ? colorNames[rawColorName]?.range : null;
-    const isRawOnly = isSingleRawColorQuery(normalizedQuery);
-
-    // If the query is exactly a raw color, return its hex
-    if (isRawOnly && rawColorData) {
-        return res.json({ color: rawColorData.hex, source: 'raw_exact' });
-    }
-
-    // If the query contains a raw color (e.g. 'sunset pink'), restrict to that color's spectrum
-    if (rawColorData) {
-        // Optionally, blend with a random color in the spectrum or just return the base color
-        // For now, return a random hue in the allowed range for that color
-        // (You could make this more sophisticated if needed)
-        const baseHex = rawColorData.hex;
-        let resultHex = baseHex;
-        if (spectrumRanges && spectrumRanges.length > 0) {
-            // Pick a random range and random hue within it
-            const [min, max] = spectrumRanges[Math.floor(Math.random() * spectrumRanges.length)];
-            // Convert baseHex to HSL, set hue to random in range, then back to hex
-            const hsl = hexToHSL(baseHex);
-            const hue255 = Math.floor(Math.random() * (max - min + 1)) + min;
-            hsl[0] = (hue255 / 255) * 360;
-            resultHex = hslToHex(hsl[0], hsl[1], hsl[2]);
+api.post('/generate/batch', async (req, res) => {
+    if (req.is('multipart/form-data')) {
+        try {
+            await receiveUpload(req, res, 'file');
+        } catch (err) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `CSV is larger than ${maxUploadBytes / (1024 * 1024)} MB` });
+            }
+            return res.status(400).json({ error: `Invalid upload: ${err.message}` });
         }
-        return res.json({ color: resultHex, source: 'raw_spectrum' });
     }
 
-    const learned = db?.data?.likes
-        ?.slice()
-        .reverse()
-        .find((item) => item.query.toLowerCase() === normalizedQuery.toLowerCase());
+    // Batch-wide lang / extraction / excludeSkin / format come from the JSON or form fields,
+    // or the query string for text/csv bodies; rows may override all but format
+    const { value: defaults, error, status } = validate(batchRequestSchema, {
+        ...req.query,
+        ...(req.body && typeof req.body === 'object' ? req.body : {})
+    }, { coerce: true });
+    if (error) {
+        return res.status(status).json({ error });
+    }
+    const format = defaults.format || (req.accepts(['json', 'csv']) === 'csv' ? 'csv' : 'json');
 
-    if (!mode && step === 0 && learned?.color) {
-        return res.json({ color: learned.color, source: 'learned' });
+    const items = readBatchItems(req, defaults.queries);
+    if (!items) {
+        return res.status(400).json({ error: 'Missing queries (JSON "queries" array, text/csv body or multipart "file")' });
+    }
+    if (items.length === 0) {
+        return res.status(400).json({ error: 'No queries in batch' });
+    }
+    if (items.length > maxBatchItems) {
+        return res.status(413).json({ error: `At most ${maxBatchItems} queries per batch, got ${items.length}` });
     }
+    // Every query may search for images, so a batch costs one `batch` token per item
+    if (!takeRateLimit(req, res, 'batch', items.length)) return;
+    if (!(await chargeGenerations(req, res, items.length))) return;
+    console.log(`[Batch] ${items.length} queries, format=${format}, queue=${JSON.stringify(batchLimit.stats())}`);
+
+    const startedAt = Date.now();
+    const visionProvider = meteredVisionProvider(req.account);
+    const results = await Promise.all(items.map((item, index) => batchLimit.run(() => generateBatchItem(item, index, defaults, visionProvider))));
+    const succeeded = results.filter((result) => result.status === 'ok').length;
+    refundGenerations(req, results.length - succeeded);
+    const summary = { total: results.length, succeeded, failed: results.length - succeeded, durationMs: Date.now() - startedAt };
+    console.log(`[Batch] done: ${succeeded}/${results.length} in ${summary.durationMs} ms`);
+
+    if (format === 'csv') {
+        res.attachment('colours.csv');
+        return res.type('text/csv').send(formatCsv(results, batchColumns));
+    }
+    return res.json({ items: results, summary });
+});
 
-    let candidates = [];
-    let candidateIndex = 0;
-    let selectedAnalyzedColor = null;
-    let analysisFailed = false;
-    try {
-        let analysisQuery = normalizedQuery;
-        if (mode === 'refine' && rawColorName) {
-            analysisQuery = `${normalizedQuery} 10 percent more ${rawColorName}`;
-        }
+// Helper: Run the multipart parser as a promise so upload errors can be answered inline
+function receiveUpload(req, res, field = 'image') {
+    return new Promise((resolve, reject) => {
+        upload.single(field)(req, res, (err) => (err ? reject(err) : resolve()));
+    });
+}
 
-        const result = await getPopularCandidateForStep(normalizedQuery, analysisQuery, step);
+// Helper: Decode a base64 image, with or without a data: URL prefix
+function decodeBase64Image(value) {
+    const match = value.match(/^data:([\w/+.-]+);base64,(.*)$/s);
+    const contentType = match ? match[1] : 'image/jpeg';
+    const buffer = Buffer.from(match ? match[2] : value, 'base64');
+    return { buffer, contentType };
+}
 
-        if (result && result.candidate) {
-            selectedAnalyzedColor = result.candidate;
-            candidates = result.candidates || [];
-            candidateIndex = result.index || 0;
-        } else {
-            analysisFailed = true;
+// Fields besides the multipart file; multipart values are all strings
+const analyzeImageRequestSchema = {
+    image: { type: 'string' },
+    query: { type: 'string', maxLength: maxQueryLength },
+    size: { type: 'integer', min: paletteSizeRange.min, max: paletteSizeRange.max },
+    lang: { type: 'string', maxLength: 16 },
+    extraction: { type: 'string', maxLength: 16 },
+    excludeSkin: { type: 'boolean' }
+};
+
+api.post('/analyze-image', rateLimit('generate'), chargeGeneration, async (req, res) => {
+    try {
+        await receiveUpload(req, res);
+    } catch (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Image is larger than ${maxUploadBytes / (1024 * 1024)} MB` });
         }
-    } catch (e) {
-        console.warn('Analysis skipped or failed:', e.message);
-        analysisFailed = true;
+        return res.status(400).json({ error: `Invalid upload: ${err.message}` });
     }
 
-    // If Gemini fails, do not use hash fallback, return error
-    if (candidates.length === 0 || analysisFailed) {
-        return res.status(502).json({ error: 'AI analysis failed, no color generated.' });
+    const { value: body, error, status } = validate(analyzeImageRequestSchema, req.body, { coerce: !!req.is('multipart/form-data') });
+    if (error) {
+        return res.status(status).json({ error });
+    }
+    let image = null;
+    if (req.file) {
+        image = { buffer: req.file.buffer, contentType: req.file.mimetype };
+    } else if (body.image) {
+        image = decodeBase64Image(body.image);
     }
 
-    let finalColor = null;
-    let weight = 0;
-    const currentStep = step;
-
-    if (!selectedAnalyzedColor) {
-        selectedAnalyzedColor = candidates[candidateIndex];
+    if (!image || image.buffer.length === 0) {
+        return res.status(400).json({ error: 'Missing image (multipart field "image" or base64 "image")' });
+    }
+    if (image.buffer.length > maxUploadBytes) {
+        return res.status(413).json({ error: `Image is larger than ${maxUploadBytes / (1024 * 1024)} MB` });
     }
 
-    finalColor = selectedAnalyzedColor;
+    const { query = '', size: paletteSize = 5 } = body;
+    const { lang, error: languageError } = readLanguage(body.lang);
+    if (languageError) {
+        return res.status(400).json({ error: languageError });
+    }
+    const { extraction, error: extractionError } = readExtraction(body);
+    if (extractionError) {
+        return res.status(400).json({ error: extractionError });
+    }
+    console.log(`[AnalyzeImage] bytes=${image.buffer.length} query="${query}" extraction=${extractionKey(extraction)}`);
 
-    if (rawColorData) {
-        weight = 0.8;
-        finalColor = blendColors(rawColorData.hex, selectedAnalyzedColor, weight);
+    const visionProvider = meteredVisionProvider(req.account);
+    let result;
+    try {
+        result = await analyzeImageBuffer(image.buffer, { contentType: image.contentType, size: paletteSize, query, lang, extraction, visionProvider });
+    } catch (e) {
+        console.warn('Uploaded image could not be analysed:', e.message);
+        return res.status(422).json({ error: 'Could not read the uploaded image.' });
     }
 
-    if (spectrumRanges) {
-        finalColor = shiftHue(finalColor, 0, spectrumRanges);
+    if (!result.color) {
+        return res.status(422).json({ error: 'No usable colours found in the image.' });
     }
 
-    if (previousColor && finalColor.toUpperCase() === previousColor.toUpperCase()) {
-        if (candidates.length > 1) {
-            const nextIndex = (candidateIndex + 1) % candidates.length;
-            selectedAnalyzedColor = candidates[nextIndex];
-            if (rawColorData) {
-                finalColor = blendColors(rawColorData.hex, selectedAnalyzedColor, weight || 0.8);
-            } else {
-                finalColor = selectedAnalyzedColor;
-            }
-            if (spectrumRanges) {
-                finalColor = shiftHue(finalColor, 0, spectrumRanges);
-            }
-        } else {
-            console.log('Persistent collision. Forcing hue shift.');
-            finalColor = shiftHue(finalColor, 30, spectrumRanges);
-        }
+    const warnings = [];
+    if (query && !result.visionAvailable) {
+        warnings.push('No vision provider configured; query was ignored.');
     }
 
-    // Final failsafe: if we still collide after attempts, force a hue shift
-    if (previousColor && finalColor.toUpperCase() === previousColor.toUpperCase()) {
-        console.log('Persistent collision. Forcing hue shift.');
-        finalColor = shiftHue(finalColor, 30, spectrumRanges); // Shift 30 degrees
+    return res.json(withQuotaWarning({
+        color: result.color,
+        colors: result.colors,
+        extraction: result.extraction,
+        vision: result.vision,
+        source: 'uploaded_image',
+        warnings
+    }, visionProvider));
+});
+
+// Admin routes need `Authorization: Bearer <ADMIN_TOKEN>`, and answer 403 while ADMIN_TOKEN is
+// unset. ADMIN_ALLOW_LOOPBACK=1 opens them to loopback connections without a token for local
+// development; behind a reverse proxy every request arrives from loopback, so leave it off there.
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (token) {
+        const expected = Buffer.from(`Bearer ${token}`);
+        const given = Buffer.from(req.get('authorization') || '');
+        if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return next();
+        return res.status(401).json({ error: 'Admin token required' });
     }
+    const address = req.socket.remoteAddress || '';
+    if (process.env.ADMIN_ALLOW_LOOPBACK === '1' && ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address)) return next();
+    return res.status(403).json({ error: 'Admin routes are disabled until ADMIN_TOKEN is set' });
+}
+
+// Keys grant API access of their own, so issuing, listing and revoking them always needs the token
+function requireAdminToken(req, res, next) {
+    if (!process.env.ADMIN_TOKEN) return res.status(403).json({ error: 'Admin routes are disabled until ADMIN_TOKEN is set' });
+    return requireAdmin(req, res, next);
+}
+
+api.get('/admin/cache', requireAdmin, (req, res) => {
+    res.json({ candidates: candidateCache.stats(), images: getImageCache().stats() });
+});
+
+// Purge one query (every analysis variant and language of it) or, without ?query, everything
+api.delete('/admin/cache', requireAdmin, async (req, res) => {
+    const query = typeof req.query.query === 'string' ? req.query.query.toLowerCase().trim() : '';
+    const purged = await candidateCache.purge(query ? (key) => key.split('||')[0] === query : undefined);
+    // Image analyses are keyed by URL, not query, so only a full purge drops them
+    const imagesPurged = query ? 0 : getImageCache().clear();
+    console.log(`[Admin] purged ${purged} candidate cache entries${query ? ` for "${query}"` : `, ${imagesPurged} image analyses`}`);
+    res.json({ purged, imagesPurged, candidates: candidateCache.stats(), images: getImageCache().stats() });
+});
 
-    if (rawColorData) {
-        console.log(`Result: ${finalColor} (Source: Weighted Raw, Step: ${currentStep}, Weight: ${weight.toFixed(3)})`);
-        return res.json({ color: finalColor, source: 'weighted_raw', weight, step: currentStep });
+// The calling key's quota, today's counters and daily history
+api.get('/usage', (req, res) => {
+    if (req.account.anonymous) {
+        return res.status(401).json({ error: 'API key required (X-API-Key header)' });
     }
+    res.json(apiKeys.usage(req.account));
+});
+
+const apiKeyRequestSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    generationsPerDay: { type: 'integer', min: 0, max: 1000000 },
+    visionPerDay: { type: 'integer', min: 0, max: 1000000 }
+};
 
-    // Final Safety Check
-    if (!finalColor) {
-        console.warn('Unexpected: finalColor is null. Using fallback.');
-        finalColor = '#CCCCCC';
+// Issue a key. The response holds the only copy of the key; db.json keeps a hash.
+api.post('/admin/keys', requireAdminToken, async (req, res) => {
+    const { value: fields, error, status } = validate(apiKeyRequestSchema, req.body);
+    if (error) {
+        return res.status(status).json({ error });
     }
+    const { name, ...quota } = fields;
+    const { key, record } = await apiKeys.issue({ name, quota });
+    console.log(`[Admin] issued API key ${record.id} (${record.name})`);
+    res.status(201).json({ key, ...record });
+});
 
-    // Else 100% Analysis (Cycling through candidates)
-    console.log(`Result: ${finalColor} (Source: Analysis, Step: ${currentStep})`);
-    return res.json({ color: finalColor, source: 'analyzed_candidate', step: currentStep });
+api.get('/admin/keys', requireAdminToken, (req, res) => {
+    res.json({ keys: apiKeys.list(), anonymous: apiKeys.anonymousUsage() });
 });
 
-app.post('/api/feedback', async (req, res) => {
-    const { query, color, rating } = req.body;
+api.delete('/admin/keys/:id', requireAdminToken, async (req, res) => {
+    const record = await apiKeys.revoke(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: `No API key ${req.params.id}` });
+    }
+    console.log(`[Admin] revoked API key ${record.id} (${record.name})`);
+    res.json(record);
+});
 
-    if (rating === 'like' && db) { // Only attempt write if DB is healthy
+const feedbackRequestSchema = {
+    query: { type: 'string', required: true, maxLength: maxQueryLength },
+    color: { type: 'hex', required: true },
+    rating: { type: 'string', required: true, values: feedbackRatings },
+    implicit: { type: 'boolean' }
+};
+
+api.post('/feedback', rateLimit('feedback'), async (req, res) => {
+    // Malformed votes are refused rather than stored, since stored colours are served as `learned`
+    const { value: vote, error, status } = validate(feedbackRequestSchema, req.body);
+    if (error) {
+        return res.status(status).json({ error });
+    }
+
+    if (db) { // Only attempt write if DB is healthy
         try {
-            await db.update(({ likes }) => likes.push({ query, color, timestamp: Date.now() }));
-            console.log(`Learned: ${query} => ${color}`);
+            const record = createFeedbackRecord(vote);
+            await db.update(({ feedback }) => feedback.push(record));
+            console.log(`Feedback: ${vote.query} => ${vote.color} (${vote.rating}${record.implicit ? ', implicit' : ''})`);
         } catch (e) {
             console.error('Failed to save feedback', e);
         }
@@ -551,6 +771,23 @@ app.post('/api/feedback', async (req, res) => {
     res.json({ success: true });
 });
 
+const openApiDocument = createOpenApiDocument({
+    palette: paletteRequestSchema,
+    batch: batchRequestSchema,
+    analyzeImage: analyzeImageRequestSchema,
+    feedback: feedbackRequestSchema,
+    apiKey: apiKeyRequestSchema
+});
+
+api.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+// Unknown API paths get a JSON error rather than falling through to the other mount
+api.use((req, res) => {
+    res.status(404).json({ error: `No API route ${req.method} ${req.originalUrl.split('?')[0]}` });
+});
+
 app.listen(port, () => {
     console.log(`Server running at http://localhost:${port}`);
 });
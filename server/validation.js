@@ -0,0 +1,106 @@
+import { parseHexColor } from './color-space.js';
+
+// Request body schemas: { field: rule } where a rule is
+//   { type, required, maxLength, min, max, values, maxItems }
+// and type is one of string, integer, number, boolean, hex, array or object. Strings are
+// trimmed and hex colours normalised to #RRGGBB; fields not in the schema are dropped.
+
+// Helper: Query strings and multipart fields arrive as strings ("3", "true")
+function coerceValue(type, value) {
+    if (typeof value !== 'string') return value;
+    const text = value.trim();
+    if ((type === 'integer' || type === 'number') && text !== '') return Number(text);
+    if (type === 'boolean' && (text === 'true' || text === 'false')) return text === 'true';
+    return value;
+}
+
+// Helper: Check one present value against its rule. Returns { value } or { error }.
+function validateField(field, rule, value) {
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return { error: `${field} must be a string` };
+            const text = value.trim();
+            if (rule.required && !text) return { error: `Empty ${field}` };
+            if (rule.maxLength && text.length > rule.maxLength) {
+                return { error: `${field} is longer than ${rule.maxLength} characters` };
+            }
+            if (rule.values && !rule.values.includes(text)) {
+                return { error: `Unsupported ${field} "${text}", expected one of: ${rule.values.join(', ')}` };
+            }
+            return { value: text };
+        }
+        case 'integer':
+        case 'number': {
+            const isValid = rule.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+            // Numeric rules always have a min and max
+            if (!isValid || value < rule.min || value > rule.max) {
+                return { error: `${field} must be ${rule.type === 'integer' ? 'an integer' : 'a number'} from ${rule.min} to ${rule.max}` };
+            }
+            return { value };
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') return { error: `${field} must be true or false` };
+            return { value };
+        case 'hex': {
+            const hex = parseHexColor(value);
+            if (!hex) return { error: `Invalid ${field}, expected #RRGGBB` };
+            return { value: hex };
+        }
+        case 'array':
+            if (!Array.isArray(value)) return { error: `${field} must be an array` };
+            if (rule.maxItems && value.length > rule.maxItems) {
+                return { error: `At most ${rule.maxItems} ${field}, got ${value.length}`, status: 413 };
+            }
+            return { value };
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: `${field} must be an object` };
+            return { value };
+        default:
+            throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+    }
+}
+
+// Validate a request body against a schema. Returns { value } with only the schema's fields, or
+// { error, status } for the first invalid field. coerce: accept the string forms of numbers and
+// booleans, for query strings, multipart forms and CSV rows.
+export function validate(schema, input, options = {}) {
+    const { coerce = false } = options;
+    const body = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const value = {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        let raw = body[field];
+        // An empty optional field (an empty form input, ?lang=) counts as absent
+        if (raw === undefined || raw === null || (raw === '' && !rule.required)) {
+            if (rule.required) return { error: `Missing ${field}`, status: 400 };
+            continue;
+        }
+        if (coerce) raw = coerceValue(rule.type, raw);
+        const result = validateField(field, rule, raw);
+        if (result.error) return { error: result.error, status: result.status || 400 };
+        value[field] = result.value;
+    }
+
+    return { value };
+}
+
+// JSON Schema (as used by OpenAPI 3) for a request schema, so the published API description
+// matches what validate() accepts
+export function toJsonSchema(schema) {
+    const properties = {};
+    const required = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        if (rule.required) required.push(field);
+        const property = rule.type === 'hex'
+            ? { type: 'string', pattern: '^#?([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$' }
+            : { type: rule.type };
+        if (rule.maxLength) property.maxLength = rule.maxLength;
+        if (rule.values) property.enum = rule.values;
+        if (rule.min !== undefined) property.minimum = rule.min;
+        if (rule.max !== undefined) property.maximum = rule.max;
+        if (rule.maxItems) property.maxItems = rule.maxItems;
+        if (rule.type === 'array') property.items = {};
+        properties[field] = property;
+    }
+    return required.length ? { type: 'object', required, properties } : { type: 'object', properties };
+}
@@ -0,0 +1,277 @@
+import fetch from 'node-fetch';
+
+// Vision providers share one shape:
+// { name, describe() => Promise<string>, analyze({ prompt, base64, contentType }) => Promise<{ colors } | null> }.
+// Every provider is asked for the same JSON schema and parsed the same way, so callers
+// never see which model answered.
+
+// Model calls slower than this are abandoned; the image then counts as a failed vote
+const defaultTimeoutMs = 20000;
+
+function extractJsonObject(text) {
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        const match = text.match(/\{[\s\S]*\}/);
+        if (!match) return null;
+        try {
+            return JSON.parse(match[0]);
+        } catch {
+            return null;
+        }
+    }
+}
+
+function normalizeHexList(colors) {
+    if (!Array.isArray(colors)) return [];
+    return colors
+        .map((col) => {
+            if (typeof col !== 'string') return null;
+            const trimmed = col.trim();
+            const hexMatch = trimmed.match(/^#?[0-9A-Fa-f]{6}$/);
+            if (!hexMatch) return null;
+            return trimmed.startsWith('#') ? trimmed.toUpperCase() : `#${trimmed.toUpperCase()}`;
+        })
+        .filter(Boolean);
+}
+
+// Parse a model's text answer into the shared { colors } shape
+export function parseColorsResponse(text) {
+    const json = extractJsonObject(text);
+    if (!json) return null;
+
+    const colors = normalizeHexList(json.colors);
+    if (!colors.length) return null;
+
+    return { colors };
+}
+
+// Helper: fetch, aborted after timeoutMs with a "<label> API timed out" error
+async function fetchWithTimeout(url, options, timeoutMs, label) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`${label} API timed out after ${timeoutMs} ms`);
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+async function postJson(endpoint, body, { headers = {}, label = 'Vision', timeoutMs = defaultTimeoutMs } = {}) {
+    const response = await fetchWithTimeout(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    }, timeoutMs, label);
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`${label} API error: ${response.status} ${errorText}`);
+    }
+
+    return response.json();
+}
+
+// Google Generative Language API. The configured model is used when the key can see it;
+// otherwise the best available generateContent model is picked (flash > pro > other).
+export function createGeminiProvider(options = {}) {
+    const {
+        apiKey,
+        model = 'gemini-1.5-flash',
+        baseUrl = 'https://generativelanguage.googleapis.com/v1beta',
+        timeoutMs = defaultTimeoutMs
+    } = options;
+    if (!apiKey) throw new Error('Gemini provider needs an API key');
+
+    let cachedModel = null;
+    let cachedModelAt = 0;
+
+    async function resolveModel() {
+        const now = Date.now();
+        if (cachedModel && now - cachedModelAt < 10 * 60 * 1000) {
+            return cachedModel;
+        }
+
+        let response;
+        try {
+            response = await fetchWithTimeout(`${baseUrl}/models?key=${apiKey}`, {}, timeoutMs, 'Gemini');
+        } catch (error) {
+            console.warn('Gemini model list request failed:', error.message);
+            return null;
+        }
+        if (!response.ok) {
+            console.warn('Gemini model list request failed:', response.status);
+            return null;
+        }
+
+        const payload = await response.json();
+        const models = Array.isArray(payload.models) ? payload.models : [];
+        const supported = models.filter((item) =>
+            Array.isArray(item.supportedGenerationMethods) &&
+            item.supportedGenerationMethods.includes('generateContent')
+        );
+
+        const preferredName = `models/${model}`;
+        const preferred = supported.find((item) => item.name === preferredName);
+        if (preferred) {
+            cachedModel = preferred.name.replace('models/', '');
+            cachedModelAt = now;
+            return cachedModel;
+        }
+
+        const ranked = supported
+            .map((item) => item.name)
+            .filter((name) => !name.includes('embedding'))
+            .sort((a, b) => {
+                const score = (name) => {
+                    if (name.includes('flash')) return 3;
+                    if (name.includes('pro')) return 2;
+                    return 1;
+                };
+                return score(b) - score(a);
+            });
+
+        cachedModel = ranked.length ? ranked[0].replace('models/', '') : model;
+        cachedModelAt = now;
+        return cachedModel;
+    }
+
+    return {
+        name: 'gemini',
+        async describe() {
+            return `gemini (${await resolveModel() || 'none'})`;
+        },
+        async analyze({ prompt, base64, contentType }) {
+            const resolvedModel = await resolveModel();
+            if (!resolvedModel) return null;
+
+            const payload = await postJson(`${baseUrl}/models/${resolvedModel}:generateContent?key=${apiKey}`, {
+                contents: [
+                    {
+                        role: 'user',
+                        parts: [
+                            { text: prompt },
+                            { inlineData: { mimeType: contentType, data: base64 } }
+                        ]
+                    }
+                ]
+            }, { label: 'Gemini', timeoutMs });
+
+            const text = payload?.candidates?.[0]?.content?.parts
+                ?.map((part) => part.text || '')
+                .join('') || '';
+            return parseColorsResponse(text);
+        }
+    };
+}
+
+// Any server speaking the OpenAI chat completions API (OpenAI, vLLM, LM Studio, a test stand-in).
+// baseUrl is the server root; /v1/chat/completions is appended.
+export function createOpenAIProvider(options = {}) {
+    const {
+        apiKey = '',
+        model = 'gpt-4o-mini',
+        baseUrl = 'https://api.openai.com',
+        timeoutMs = defaultTimeoutMs
+    } = options;
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/v1/chat/completions`;
+
+    return {
+        name: 'openai',
+        async describe() {
+            return `openai (${model} @ ${endpoint})`;
+        },
+        async analyze({ prompt, base64, contentType }) {
+            const payload = await postJson(endpoint, {
+                model,
+                temperature: 0,
+                messages: [
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: prompt },
+                            { type: 'image_url', image_url: { url: `data:${contentType};base64,${base64}` } }
+                        ]
+                    }
+                ]
+            }, { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, label: 'OpenAI', timeoutMs });
+
+            const content = payload?.choices?.[0]?.message?.content;
+            const text = Array.isArray(content)
+                ? content.map((part) => part.text || '').join('')
+                : content || '';
+            return parseColorsResponse(text);
+        }
+    };
+}
+
+// Local Ollama-style server (POST /api/chat with base64 images, non-streaming JSON answer).
+export function createOllamaProvider(options = {}) {
+    const {
+        model = 'llava',
+        baseUrl = 'http://localhost:11434',
+        timeoutMs = defaultTimeoutMs
+    } = options;
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/api/chat`;
+
+    return {
+        name: 'ollama',
+        async describe() {
+            return `ollama (${model} @ ${endpoint})`;
+        },
+        async analyze({ prompt, base64 }) {
+            const payload = await postJson(endpoint, {
+                model,
+                stream: false,
+                format: 'json',
+                messages: [{ role: 'user', content: prompt, images: [base64] }]
+            }, { label: 'Ollama', timeoutMs });
+
+            return parseColorsResponse(payload?.message?.content || '');
+        }
+    };
+}
+
+// Build the vision provider from the environment. Returns null when no provider is configured,
+// in which case analysis falls back to dominant colours.
+// VISION_PROVIDER=gemini|openai|ollama|none (default: gemini when GEMINI_API_KEY is set),
+// VISION_MODEL, VISION_BASE_URL, VISION_API_KEY (OPENAI_API_KEY is accepted for openai),
+// VISION_TIMEOUT_MS.
+export function createVisionProviderFromEnv(env = process.env) {
+    const name = (env.VISION_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'none')).trim().toLowerCase();
+    const baseUrl = env.VISION_BASE_URL || undefined;
+    const configuredTimeout = Number.parseInt(env.VISION_TIMEOUT_MS, 10);
+    const timeoutMs = configuredTimeout > 0 ? configuredTimeout : undefined;
+
+    switch (name) {
+        case 'none':
+            return null;
+        case 'gemini':
+            if (!env.GEMINI_API_KEY && !env.VISION_API_KEY) {
+                console.warn('VISION_PROVIDER=gemini but no GEMINI_API_KEY is set; vision analysis disabled.');
+                return null;
+            }
+            return createGeminiProvider({
+                apiKey: env.GEMINI_API_KEY || env.VISION_API_KEY,
+                model: env.VISION_MODEL || env.GEMINI_MODEL || undefined,
+                baseUrl,
+                timeoutMs
+            });
+        case 'openai':
+            return createOpenAIProvider({
+                apiKey: env.VISION_API_KEY || env.OPENAI_API_KEY || '',
+                model: env.VISION_MODEL || undefined,
+                baseUrl,
+                timeoutMs
+            });
+        case 'ollama':
+            return createOllamaProvider({ model: env.VISION_MODEL || undefined, baseUrl, timeoutMs });
+        default:
+            console.warn(`Unknown vision provider "${name}"; vision analysis disabled.`);
+            return null;
+    }
+}
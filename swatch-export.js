@@ -0,0 +1,205 @@
+// Swatch export encoders. Every format takes the same input: a title and a list of
+// swatches ({ name, hex, share? }), so single colours and palettes share one code path.
+
+export const exportFormats = {
+    svg: { label: 'SVG image', extension: 'svg', mimeType: 'image/svg+xml' },
+    png: { label: 'PNG image', extension: 'png', mimeType: 'image/png' },
+    ase: { label: 'Adobe Swatch Exchange', extension: 'ase', mimeType: 'application/octet-stream' },
+    gpl: { label: 'GIMP / Inkscape palette', extension: 'gpl', mimeType: 'text/plain' },
+    css: { label: 'CSS custom properties', extension: 'css', mimeType: 'text/css' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+export const pngSizes = [256, 512, 1000, 2048];
+
+function hexToRgb(hex) {
+    const clean = hex.replace('#', '');
+    return [
+        parseInt(clean.substring(0, 2), 16),
+        parseInt(clean.substring(2, 4), 16),
+        parseInt(clean.substring(4, 6), 16)
+    ];
+}
+
+// Helper for text contrast on swatches
+export function getContrastYIQ(hexcolor) {
+    const [r, g, b] = hexToRgb(hexcolor);
+    const yiq = ((r * 299) + (g * 587) + (b * 114)) / 1000;
+    return (yiq >= 128) ? 'black' : 'white';
+}
+
+// Accents are dropped rather than the letters ("žalia" -> "zalia")
+function slugify(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'colour';
+}
+
+function escapeXml(text) {
+    return text.replace(/[<>&"']/g, (ch) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[ch]);
+}
+
+// Swatches are drawn as equal-width vertical bands, labelled with their hex
+function buildSvg(title, swatches, size = 1000) {
+    const bandWidth = size / swatches.length;
+    const fontSize = Math.round(Math.min(80, bandWidth / 5));
+    const bands = swatches.map((swatch, i) => {
+        const x = i * bandWidth;
+        return `  <rect x="${x}" width="${bandWidth}" height="${size}" fill="${swatch.hex}" />
+  <text x="${x + bandWidth / 2}" y="50%" font-family="Arial, sans-serif" font-size="${fontSize}" fill="${getContrastYIQ(swatch.hex)}" text-anchor="middle" dy=".3em">${swatch.hex}</text>`;
+    }).join('\n');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+  <title>${escapeXml(title)}</title>
+${bands}
+</svg>`;
+}
+
+function buildPng(swatches, canvas, size) {
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const bandWidth = size / swatches.length;
+    const fontSize = Math.round(Math.min(size * 0.08, bandWidth / 5));
+
+    swatches.forEach((swatch, i) => {
+        const x = i * bandWidth;
+        ctx.fillStyle = swatch.hex;
+        // Overlap by a pixel so anti-aliasing does not leave seams between bands
+        ctx.fillRect(Math.floor(x), 0, Math.ceil(bandWidth) + 1, size);
+        ctx.fillStyle = getContrastYIQ(swatch.hex);
+        ctx.font = `${fontSize}px Arial, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(swatch.hex, x + bandWidth / 2, size / 2);
+    });
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+}
+
+// Adobe Swatch Exchange 1.0: big-endian blocks of UTF-16 names and float32 RGB values.
+// Palettes are wrapped in a named group so they import as one set.
+function buildAse(title, swatches) {
+    const blocks = [];
+    const encodeName = (name) => {
+        // UTF-16 code units, so characters outside the BMP become surrogate pairs
+        const units = Array.from({ length: name.length }, (_, i) => name.charCodeAt(i)).concat(0);
+        const bytes = new Uint8Array(2 + units.length * 2);
+        const view = new DataView(bytes.buffer);
+        view.setUint16(0, units.length);
+        units.forEach((unit, i) => view.setUint16(2 + i * 2, unit));
+        return bytes;
+    };
+    const pushBlock = (type, body) => {
+        const header = new DataView(new ArrayBuffer(6));
+        header.setUint16(0, type);
+        header.setUint32(2, body.length);
+        blocks.push(new Uint8Array(header.buffer), body);
+    };
+
+    const grouped = swatches.length > 1;
+    if (grouped) pushBlock(0xC001, encodeName(title));
+
+    for (const swatch of swatches) {
+        const name = encodeName(swatch.name || swatch.hex);
+        const body = new Uint8Array(name.length + 4 + 12 + 2);
+        body.set(name, 0);
+        const view = new DataView(body.buffer);
+        let offset = name.length;
+        for (const ch of 'RGB ') view.setUint8(offset++, ch.charCodeAt(0));
+        for (const channel of hexToRgb(swatch.hex)) {
+            view.setFloat32(offset, channel / 255);
+            offset += 4;
+        }
+        view.setUint16(offset, 2); // colour type: normal
+        pushBlock(0x0001, body);
+    }
+
+    if (grouped) pushBlock(0xC002, new Uint8Array(0));
+
+    const header = new DataView(new ArrayBuffer(12));
+    'ASEF'.split('').forEach((ch, i) => header.setUint8(i, ch.charCodeAt(0)));
+    header.setUint16(4, 1);
+    header.setUint16(6, 0);
+    header.setUint32(8, swatches.length + (grouped ? 2 : 0));
+
+    return new Blob([header.buffer, ...blocks], { type: exportFormats.ase.mimeType });
+}
+
+function buildGpl(title, swatches) {
+    const lines = [
+        'GIMP Palette',
+        `Name: ${title}`,
+        `Columns: ${Math.min(swatches.length, 8)}`,
+        '#'
+    ];
+    for (const swatch of swatches) {
+        const [r, g, b] = hexToRgb(swatch.hex).map((value) => String(value).padStart(3, ' '));
+        lines.push(`${r} ${g} ${b}\t${swatch.name || swatch.hex}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function buildCss(title, swatches) {
+    const used = new Map();
+    const declarations = swatches.map((swatch) => {
+        const base = slugify(swatch.name || swatch.hex);
+        const seen = used.get(base) || 0;
+        used.set(base, seen + 1);
+        const name = seen ? `${base}-${seen + 1}` : base;
+        return `    --${name}: ${swatch.hex};`;
+    });
+    return `/* ${title.replace(/\*\//g, '')} */\n:root {\n${declarations.join('\n')}\n}\n`;
+}
+
+function buildJson(title, swatches) {
+    return JSON.stringify({
+        name: title,
+        colors: swatches.map((swatch) => ({
+            name: swatch.name || swatch.hex,
+            hex: swatch.hex,
+            rgb: hexToRgb(swatch.hex),
+            ...(typeof swatch.share === 'number' ? { share: swatch.share } : {})
+        }))
+    }, null, 2) + '\n';
+}
+
+// Encode swatches in the requested format. Returns { blob, filename }.
+export async function buildSwatchExport(format, title, swatches, options = {}) {
+    const spec = exportFormats[format];
+    if (!spec) throw new Error(`Unknown export format: ${format}`);
+    if (!swatches.length) throw new Error('Nothing to export');
+
+    const { canvas, size = 1000 } = options;
+    let blob;
+    switch (format) {
+        case 'svg':
+            blob = new Blob([buildSvg(title, swatches)], { type: spec.mimeType });
+            break;
+        case 'png':
+            if (!canvas) throw new Error('PNG export needs a canvas');
+            blob = await buildPng(swatches, canvas, size);
+            break;
+        case 'ase':
+            blob = buildAse(title, swatches);
+            break;
+        case 'gpl':
+            blob = new Blob([buildGpl(title, swatches)], { type: spec.mimeType });
+            break;
+        case 'css':
+            blob = new Blob([buildCss(title, swatches)], { type: spec.mimeType });
+            break;
+        case 'json':
+            blob = new Blob([buildJson(title, swatches)], { type: spec.mimeType });
+            break;
+    }
+
+    const stem = swatches.length === 1 ? `swatch-${swatches[0].hex.substring(1)}` : `palette-${slugify(title)}`;
+    const sizeSuffix = format === 'png' ? `-${size}` : '';
+    return { blob, filename: `${stem}${sizeSuffix}.${spec.extension}` };
+}
@@ -0,0 +1,63 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adminToken, startServer } from './helpers/server.js';
+
+// Admin routes per ADMIN_TOKEN / ADMIN_ALLOW_LOOPBACK setup. The tests connect from loopback.
+
+describe('with ADMIN_TOKEN', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server?.stop();
+    });
+
+    test('the cache routes need the bearer token', async () => {
+        const authorized = await server.request('/api/admin/cache', { headers: { Authorization: `Bearer ${adminToken}` } });
+        assert.equal(authorized.status, 200);
+        assert.deepEqual(Object.keys(await authorized.json()), ['candidates', 'images']);
+        assert.equal((await server.request('/api/admin/cache')).status, 401);
+        assert.equal((await server.request('/api/admin/cache', { method: 'DELETE', headers: { Authorization: 'Bearer wrong' } })).status, 401);
+    });
+});
+
+describe('without ADMIN_TOKEN', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ ADMIN_TOKEN: '' });
+    });
+
+    after(async () => {
+        await server?.stop();
+    });
+
+    test('the admin routes are disabled, even from loopback', async () => {
+        const response = await server.request('/api/admin/cache');
+        assert.equal(response.status, 403);
+        assert.match((await response.json()).error, /ADMIN_TOKEN/);
+        assert.equal((await server.request('/api/admin/cache', { method: 'DELETE' })).status, 403);
+    });
+});
+
+describe('with ADMIN_ALLOW_LOOPBACK=1 and no ADMIN_TOKEN', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ ADMIN_TOKEN: '', ADMIN_ALLOW_LOOPBACK: '1' });
+    });
+
+    after(async () => {
+        await server?.stop();
+    });
+
+    test('the cache routes answer loopback connections', async () => {
+        assert.equal((await server.request('/api/admin/cache')).status, 200);
+        const purge = await server.request('/api/admin/cache?query=ocean', { method: 'DELETE' });
+        assert.equal(purge.status, 200);
+        assert.equal((await purge.json()).purged, 0);
+    });
+});
@@ -0,0 +1,146 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { apiKeyOptionsFromEnv, createApiKeyStore } from '../server/api-keys.js';
+import { adminToken, startServer } from './helpers/server.js';
+
+const day = 24 * 60 * 60 * 1000;
+
+describe('key store', () => {
+    test('issued keys authenticate until revoked, and only a hash is kept', async () => {
+        const saved = [];
+        const store = createApiKeyStore({ store: { load: () => null, save: async (data) => saved.push(JSON.stringify(data)) } });
+        const { key, record } = await store.issue({ name: 'shop' });
+        assert.match(key, /^cg_/);
+        assert.equal(store.authenticate(key).id, record.id);
+        assert.ok(!saved.at(-1).includes(key));
+        await store.revoke(record.id);
+        assert.equal(store.authenticate(key), null);
+        assert.equal(store.authenticate('cg_unknown'), null);
+    });
+
+    test('uses are counted per day up to the quota, and refunds give them back', async () => {
+        const store = createApiKeyStore();
+        const { key } = await store.issue({ name: 'shop', quota: { generationsPerDay: 2 } });
+        const account = store.authenticate(key);
+        assert.equal(await store.consume(account, 'generations', 1, 0), true);
+        assert.equal(await store.consume(account, 'generations', 2, 0), false, 'nothing is counted past the quota');
+        assert.equal(await store.consume(account, 'generations', 1, 0), true);
+        assert.equal(await store.consume(account, 'generations', 1, 0), false);
+        await store.refund(account, 'generations', 1, 0);
+        assert.deepEqual(store.usage(account, 0).remaining, { generations: 1, vision: 200 });
+        assert.equal(await store.consume(account, 'generations', 2, day), true, 'a new day has a new quota');
+    });
+
+    test('anonymous callers are counted per IP address, for today only', async () => {
+        const store = createApiKeyStore({ anonymousQuota: { generationsPerDay: 1, visionPerDay: 0 } });
+        assert.equal(await store.consume(store.anonymous('203.0.113.1'), 'generations', 1, 0), true);
+        assert.equal(await store.consume(store.anonymous('203.0.113.1'), 'generations', 1, 0), false);
+        assert.equal(await store.consume(store.anonymous('203.0.113.2'), 'vision', 1, 0), false);
+        assert.deepEqual(store.anonymousUsage(0).used, { generations: 1, vision: 0 });
+        await store.consume(store.anonymous('203.0.113.2'), 'generations', 1, day);
+        assert.equal(store.anonymousUsage(day).clients, 1);
+    });
+
+    test('quotas come from the environment', () => {
+        const options = apiKeyOptionsFromEnv({ API_KEY_GENERATIONS_PER_DAY: 'unlimited', ANONYMOUS_GENERATIONS_PER_DAY: '5' });
+        assert.equal(options.defaultQuota.generationsPerDay, null);
+        assert.deepEqual(options.anonymousQuota, { generationsPerDay: 5, visionPerDay: 50 });
+    });
+});
+
+describe('anonymous use', () => {
+    let server;
+
+    // X-Forwarded-For stands in for the caller's address behind a trusted (loopback) proxy
+    function post(path, ip, body, headers = {}) {
+        return fetch(`${server.url}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip, ...headers },
+            body: JSON.stringify(body)
+        });
+    }
+
+    function generateFrom(ip, headers = {}, body = { query: 'red' }) {
+        return post('/api/generate', ip, body, headers);
+    }
+
+    before(async () => {
+        server = await startServer({ TRUST_PROXY: 'loopback', ANONYMOUS_GENERATIONS_PER_DAY: '2' });
+    });
+
+    after(async () => {
+        await server?.stop();
+    });
+
+    test('needs the app\'s Origin or Referer, even from localhost', async () => {
+        assert.equal((await generateFrom('127.0.0.1')).status, 401);
+        assert.equal((await generateFrom('127.0.0.1', { 'Sec-Fetch-Site': 'same-origin' })).status, 401);
+        assert.equal((await generateFrom('127.0.0.1', { Origin: 'https://elsewhere.example' })).status, 401);
+        assert.equal((await generateFrom('127.0.0.1', { Origin: 'null' })).status, 401);
+        assert.equal((await generateFrom('127.0.0.1', { Referer: `${server.url}/` })).status, 200);
+    });
+
+    test('accepts the https page behind a TLS-terminating proxy', async () => {
+        // The proxy sends no X-Forwarded-Proto, so the server sees http while the page is https
+        const response = await generateFrom('127.0.0.2', { Origin: server.url.replace('http:', 'https:') });
+        assert.equal(response.status, 200);
+    });
+
+    test('has a daily quota per IP address', async () => {
+        const origin = { Origin: server.url };
+        assert.equal((await generateFrom('203.0.113.1', origin)).status, 200);
+        assert.equal((await generateFrom('203.0.113.1', origin)).status, 200);
+        const refused = await generateFrom('203.0.113.1', origin);
+        assert.equal(refused.status, 429);
+        assert.match((await refused.json()).error, /quota of 2 reached, use an API key/);
+        assert.equal((await generateFrom('203.0.113.2', origin)).status, 200);
+
+        const keys = await (await server.request('/api/admin/keys', { headers: { Authorization: `Bearer ${adminToken}` } })).json();
+        assert.deepEqual(keys.anonymous.quota, { generationsPerDay: 2, visionPerDay: 50 });
+        assert.equal(keys.anonymous.clients, 4);
+        assert.equal(keys.anonymous.used.generations, 5);
+    });
+
+    test('does not count refused or failed generations', async () => {
+        const origin = { Origin: server.url };
+        assert.equal((await generateFrom('203.0.113.3', origin, { query: 'red', step: 99 })).status, 400);
+        assert.equal((await generateFrom('203.0.113.3', origin, { query: 'kiwi' })).status, 502);
+        assert.equal((await post('/api/palette', '203.0.113.3', { query: 'kiwi' }, origin)).status, 502);
+        assert.equal((await generateFrom('203.0.113.3', origin)).status, 200);
+        assert.equal((await generateFrom('203.0.113.3', origin)).status, 200);
+        assert.equal((await generateFrom('203.0.113.3', origin)).status, 429);
+    });
+
+    test('counts only the batch queries that answer a colour', async () => {
+        const origin = { Origin: server.url };
+        const batch = await post('/api/generate/batch', '203.0.113.4', { queries: ['red', 'kiwi'] }, origin);
+        assert.equal(batch.status, 200);
+        assert.equal((await batch.json()).summary.succeeded, 1);
+        assert.equal((await generateFrom('203.0.113.4', origin)).status, 200);
+        assert.equal((await generateFrom('203.0.113.4', origin)).status, 429);
+    });
+});
+
+describe('key routes', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ ADMIN_TOKEN: '', ADMIN_ALLOW_LOOPBACK: '1' });
+    });
+
+    after(async () => {
+        await server?.stop();
+    });
+
+    test('always need ADMIN_TOKEN, unlike the cache routes', async () => {
+        assert.equal((await server.request('/api/admin/cache')).status, 200);
+        const issue = await server.request('/api/admin/keys', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: 'sneaky' })
+        });
+        assert.equal(issue.status, 403);
+        assert.equal((await server.request('/api/admin/keys')).status, 403);
+        assert.equal((await server.request('/api/admin/keys/key_1', { method: 'DELETE' })).status, 403);
+    });
+});
@@ -0,0 +1,157 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateResponseFields } from '../server/generator.js';
+import { adminToken, startServer } from './helpers/server.js';
+import { responseSchema, schemaErrors } from './helpers/openapi-schema.js';
+
+// /api/v1 responses checked against the OpenAPI document the server publishes. The local image
+// directory is empty, so every colour here comes from the dictionaries without a network.
+
+let server;
+let document;
+
+// Helper: Fail with every schema problem of a documented response
+function assertMatches(route, method, status, body) {
+    const errors = schemaErrors(document, responseSchema(document, route, method, status), body);
+    assert.deepEqual(errors, [], `${method.toUpperCase()} ${route} ${status}:\n${errors.join('\n')}`);
+}
+
+function assertEnvelope(body) {
+    for (const field of generateResponseFields) {
+        assert.ok(field in body, `missing envelope field ${field}`);
+    }
+}
+
+function postJson(path, body, headers = {}) {
+    return server.request(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+before(async () => {
+    server = await startServer();
+    document = await (await server.request('/api/v1/openapi.json')).json();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+describe('GET /api/v1/openapi.json', () => {
+    test('is an OpenAPI 3 document of the v1 routes', () => {
+        assert.match(document.openapi, /^3\./);
+        assert.deepEqual(document.servers, [{ url: '/api/v1' }]);
+        for (const route of ['/generate', '/generate/batch', '/usage']) {
+            assert.ok(document.paths[route], `${route} is documented`);
+        }
+    });
+
+    test('requires the generation envelope', () => {
+        assert.deepEqual(document.components.schemas.Generation.required, generateResponseFields);
+    });
+
+    test('resolves every $ref', () => {
+        const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g) || [];
+        for (const ref of new Set(refs)) {
+            const name = ref.split('/').pop().slice(0, -1);
+            assert.ok(document.components.schemas[name], `${ref} exists`);
+        }
+    });
+});
+
+describe('POST /api/v1/generate', () => {
+    for (const [query, source] of [['red', 'raw_exact'], ['ocean blue', 'raw_spectrum'], ['red to blue', 'multi_color']]) {
+        test(`"${query}" answers a ${source} Generation`, async () => {
+            const response = await postJson('/api/v1/generate', { query });
+            assert.equal(response.status, 200);
+            const body = await response.json();
+            assertMatches('/generate', 'post', 200, body);
+            assertEnvelope(body);
+            assert.equal(body.source, source);
+        });
+    }
+
+    test('answers invalid fields with a 400 Error', async () => {
+        const response = await postJson('/api/v1/generate', { query: 'red', step: 99 });
+        assert.equal(response.status, 400);
+        const body = await response.json();
+        assertMatches('/generate', 'post', 400, body);
+        assert.match(body.error, /step/);
+    });
+
+    test('is aliased at /api/generate', async () => {
+        const [v1, alias] = await Promise.all(['/api/v1/generate', '/api/generate'].map(async (path) => (await postJson(path, { query: 'red' })).json()));
+        assert.deepEqual(alias, v1);
+    });
+});
+
+describe('POST /api/v1/generate/batch', () => {
+    test('answers a Batch with an envelope per generated query', async () => {
+        const response = await postJson('/api/v1/generate/batch', { queries: ['red', { query: 'dark green' }, 'x'.repeat(300)] });
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        assertMatches('/generate/batch', 'post', 200, body);
+        assert.deepEqual(body.items.map((item) => item.status), ['ok', 'ok', 'error']);
+        for (const item of body.items.filter((entry) => entry.status === 'ok')) {
+            assertEnvelope(item);
+        }
+        assert.equal(body.summary.succeeded, 2);
+    });
+
+    test('answers CSV when asked', async () => {
+        const response = await server.request('/api/v1/generate/batch?format=csv', {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/csv' },
+            body: 'query\nred\n'
+        });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/csv/);
+        assert.match(await response.text(), /^query,status,color/);
+    });
+
+    test('answers an empty batch with a 400 Error', async () => {
+        const response = await postJson('/api/v1/generate/batch', { queries: [] });
+        assert.equal(response.status, 400);
+        assertMatches('/generate/batch', 'post', 400, await response.json());
+    });
+});
+
+describe('GET /api/v1/usage', () => {
+    let key;
+
+    before(async () => {
+        const response = await postJson('/api/v1/admin/keys', { name: 'usage test', generationsPerDay: 2 }, { Authorization: `Bearer ${adminToken}` });
+        assert.equal(response.status, 201);
+        ({ key } = await response.json());
+    });
+
+    test('answers the key\'s Usage after a generation', async () => {
+        assert.equal((await postJson('/api/v1/generate', { query: 'red' }, { 'X-API-Key': key })).status, 200);
+        const response = await server.request('/api/v1/usage', { headers: { 'X-API-Key': key } });
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        assertMatches('/usage', 'get', 200, body);
+        assert.equal(body.used.generations, 1);
+        assert.equal(body.remaining.generations, 1);
+    });
+
+    test('answers 429 once the quota is spent', async () => {
+        assert.equal((await postJson('/api/v1/generate', { query: 'red' }, { 'X-API-Key': key })).status, 200);
+        const response = await postJson('/api/v1/generate', { query: 'red' }, { 'X-API-Key': key });
+        assert.equal(response.status, 429);
+        assertMatches('/generate', 'post', 429, await response.json());
+    });
+
+    test('answers 401 without a key', async () => {
+        const response = await server.request('/api/v1/usage');
+        assert.equal(response.status, 401);
+        assertMatches('/usage', 'get', 401, await response.json());
+    });
+
+    test('answers 401 for an unknown key', async () => {
+        const response = await server.request('/api/v1/usage', { headers: { 'X-API-Key': 'cg_unknown' } });
+        assert.equal(response.status, 401);
+    });
+});
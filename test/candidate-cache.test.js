@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { createCandidateCache } from '../server/candidate-cache.js';
+
+// Helper: A clock the test moves by hand
+function manualClock(start = 1000) {
+    const clock = () => clock.now;
+    clock.now = start;
+    return clock;
+}
+
+// Helper: Save an entry with one candidate under the key
+async function add(cache, key, candidates = ['#FF0000']) {
+    const entry = cache.create(key);
+    entry.candidates = candidates;
+    await cache.save(entry);
+    return entry;
+}
+
+test('the least recently used entry is evicted first', async () => {
+    const cache = createCandidateCache({ maxEntries: 2, clock: manualClock() });
+    await add(cache, 'red');
+    await add(cache, 'green');
+    assert.ok(cache.get('red'), 'reading red makes green the least recently used');
+    await add(cache, 'blue');
+    assert.equal(cache.get('green'), null);
+    assert.ok(cache.get('red'));
+    assert.ok(cache.get('blue'));
+    assert.equal(cache.stats().evictions, 1);
+});
+
+test('entries are evicted to stay within maxBytes, but the newest always stays', async () => {
+    const probe = createCandidateCache();
+    await add(probe, 'a');
+    const entryBytes = probe.stats().bytes;
+
+    const cache = createCandidateCache({ maxBytes: entryBytes * 2, clock: manualClock() });
+    await add(cache, 'a');
+    await add(cache, 'b');
+    assert.equal(cache.stats().entries, 2);
+    await add(cache, 'c');
+    assert.deepEqual(['a', 'b', 'c'].filter((key) => cache.get(key)), ['b', 'c']);
+    assert.ok(cache.stats().bytes <= entryBytes * 2);
+
+    await add(cache, 'd', Array(100).fill('#00FF00'));
+    assert.equal(cache.stats().entries, 1);
+    assert.ok(cache.get('d'));
+});
+
+test('entries expire after ttlMs', async () => {
+    const clock = manualClock();
+    const cache = createCandidateCache({ ttlMs: 1000, clock });
+    await add(cache, 'red');
+    clock.now += 999;
+    assert.ok(cache.get('red'));
+    clock.now += 1;
+    assert.equal(cache.get('red'), null);
+    assert.equal(cache.stats().expired, 1);
+    assert.equal(cache.stats().entries, 0);
+});
+
+test('the sweeper deletes expired entries without a read', async () => {
+    const clock = manualClock();
+    const cache = createCandidateCache({ ttlMs: 1000, clock });
+    await add(cache, 'red');
+    clock.now += 500;
+    await add(cache, 'green');
+    clock.now += 600;
+
+    const stop = cache.startSweeper(10);
+    await delay(50);
+    stop();
+    assert.equal(cache.stats().entries, 1);
+    assert.equal(cache.stats().expired, 1);
+    assert.equal(await cache.sweep(), 0);
+});
+
+test('stats count hits, misses and the hit rate', async () => {
+    const cache = createCandidateCache({ maxEntries: 10, maxBytes: 4096, ttlMs: 5000, clock: manualClock() });
+    assert.equal(cache.stats().hitRate, null);
+    await add(cache, 'red');
+    cache.get('red');
+    cache.get('red');
+    cache.get('blue');
+    assert.deepEqual(cache.stats(), {
+        entries: 1,
+        bytes: cache.stats().bytes,
+        maxEntries: 10,
+        maxBytes: 4096,
+        ttlMs: 5000,
+        hits: 2,
+        misses: 1,
+        hitRate: 0.667,
+        evictions: 0,
+        expired: 0
+    });
+    assert.ok(cache.stats().bytes > 0);
+});
+
+test('purge removes the entries whose key matches, and persists', async () => {
+    const saved = [];
+    const cache = createCandidateCache({ clock: manualClock(), store: { load: () => ({}), save: async (records) => saved.push(Object.keys(records)) } });
+    await add(cache, 'ocean||ocean||en');
+    await add(cache, 'ocean||ocean water||lt');
+    await add(cache, 'forest||forest||en');
+    saved.length = 0;
+
+    assert.equal(await cache.purge((key) => key.split('||')[0] === 'ocean'), 2);
+    assert.deepEqual(saved, [['forest||forest||en']]);
+    assert.equal(await cache.purge((key) => key.startsWith('kiwi')), 0);
+    assert.equal(saved.length, 1, 'nothing purged, nothing saved');
+    assert.equal(await cache.purge(), 1);
+    assert.equal(cache.stats().bytes, 0);
+});
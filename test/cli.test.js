@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fixtureImageDir } from './helpers/server.js';
+
+const cliPath = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'colour-gen.js');
+
+// Helper: Run colour-gen with the arguments and stdin text. No .env is read.
+// Resolves { code, stdout, stderr }.
+function run(args, input = '') {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [cliPath, ...args], {
+            env: { ...process.env, DOTENV_CONFIG_PATH: path.join(fixtureImageDir, 'missing.env') },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (chunk) => { stdout += chunk; });
+        child.stderr.on('data', (chunk) => { stderr += chunk; });
+        child.once('error', reject);
+        child.once('exit', (code) => resolve({ code, stdout, stderr }));
+        child.stdin.end(input);
+    });
+}
+
+test('prints a dictionary colour offline', async () => {
+    const { code, stdout } = await run(['--offline', 'red']);
+    assert.equal(code, 0);
+    assert.equal(stdout, '#FF0000\n');
+});
+
+test('reads queries from stdin, one per line, and prefixes each result', async () => {
+    const { code, stdout } = await run(['--offline'], 'red\n\nnavy\n');
+    assert.equal(code, 0);
+    assert.equal(stdout, 'red\t#FF0000\nnavy\t#000080\n');
+});
+
+test('writes every query\'s colours as one CSS export', async () => {
+    const { code, stdout } = await run(['--offline', '-f', 'css', 'red', 'navy']);
+    assert.equal(code, 0);
+    assert.match(stdout, /:root \{/);
+    assert.match(stdout, /--red: #FF0000;/);
+    assert.match(stdout, /--navy: #000080;/);
+});
+
+test('analyses local images with --images', async () => {
+    const { code, stdout } = await run(['--offline', '--images', fixtureImageDir, '--extraction', 'subject', 'banana']);
+    assert.equal(code, 0);
+    assert.match(stdout, /^#[0-9A-F]{6}\n$/);
+});
+
+test('exits 2 with the usage on an unknown format', async () => {
+    const { code, stdout, stderr } = await run(['--offline', '--format', 'xml', 'red']);
+    assert.equal(code, 2);
+    assert.equal(stdout, '');
+    assert.match(stderr, /unknown format "xml"/);
+    assert.match(stderr, /Usage: colour-gen/);
+});
+
+test('exits 1 when a query fails, after printing the others', async () => {
+    const { code, stdout, stderr } = await run(['--offline', 'red', 'kiwi']);
+    assert.equal(code, 1);
+    assert.equal(stdout, 'red\t#FF0000\n');
+    assert.match(stderr, /"kiwi":/);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { candidateClusterDeltaE, clusterColors, findSimilarColor } from '../server/color-clusters.js';
+import { deltaE2000Hex } from '../server/color-space.js';
+
+test('colours within ΔE 6 are one cluster with their weights summed', () => {
+    assert.equal(candidateClusterDeltaE, 6);
+    assert.ok(deltaE2000Hex('#3A5FCD', '#4A6FDD') < 6);
+    const clusters = clusterColors([
+        { color: '#3A5FCD', mode: 'vision' },
+        { color: '#4A6FDD', weight: 3, mode: 'subject' }
+    ]);
+    assert.equal(clusters.length, 1);
+    const [cluster] = clusters;
+    assert.equal(cluster.weight, 4);
+    assert.deepEqual(cluster.members, ['#3A5FCD', '#4A6FDD']);
+    assert.equal(cluster.mode, 'vision', 'meta comes from the first member');
+    assert.ok(deltaE2000Hex(cluster.color, '#4A6FDD') < deltaE2000Hex(cluster.color, '#3A5FCD'), 'the mean leans to the heavier member');
+});
+
+test('colours further apart than ΔE 6 stay separate, in first-seen order', () => {
+    assert.ok(deltaE2000Hex('#3A5FCD', '#5070E0') > 6);
+    const clusters = clusterColors([{ color: '#3A5FCD' }, { color: '#F4D41C' }, { color: '#5070E0' }, { color: 'not a colour' }]);
+    assert.deepEqual(clusters.map((cluster) => cluster.color), ['#3A5FCD', '#F4D41C', '#5070E0']);
+    assert.ok(clusters.every((cluster) => cluster.weight === 1));
+});
+
+test('a colour joins the nearest cluster within the threshold', () => {
+    const clusters = clusterColors([{ color: '#3A5FCD' }, { color: '#5070E0' }, { color: '#4E73E0' }], 6);
+    assert.deepEqual(clusters.map((cluster) => cluster.members), [['#3A5FCD'], ['#5070E0', '#4E73E0']]);
+});
+
+test('findSimilarColor returns the nearest colour within ΔE 6, or -1', () => {
+    assert.equal(findSimilarColor(['#F4D41C', '#3A5FCD', '#3B5FCC'], '#3B5FCC'), 2);
+    assert.equal(findSimilarColor(['#F4D41C'], '#3A5FCD'), -1);
+});
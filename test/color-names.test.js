@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getColorEntries, loadDictionariesFromEnv, lookupColor, registerColor, registerDictionary } from '../server/color-names.js';
+import { hexToHsl, hueInRange } from '../server/color-space.js';
+
+test('every registered chromatic colour lies in its own hue range', async () => {
+    await loadDictionariesFromEnv({ COLOR_DICTIONARIES: 'css' });
+    for (const entry of getColorEntries()) {
+        const [hue, saturation, lightness] = hexToHsl(entry.hex);
+        if (saturation < 10 || lightness < 6 || lightness > 97) continue;
+        assert.ok(entry.range.some((pair) => hueInRange(hue, pair)), `${entry.name} ${entry.hex} (hue ${Math.round(hue)}) is outside ${JSON.stringify(entry.range)}`);
+    }
+    assert.deepEqual(lookupColor('ultramarine').range, [[230, 260]]);
+});
+
+test('a hex outside its range is rejected', () => {
+    assert.throws(() => registerColor('test violet blue', { hex: '#3F00FF', range: [[200, 220]] }), /hue 255, outside its range/);
+    assert.equal(lookupColor('test violet blue'), null);
+});
+
+test('a dictionary with one out-of-range colour is rejected as a whole', () => {
+    assert.throws(() => registerDictionary('test', { 'test sea': { hex: '#2E8B8B', range: [[170, 190]] }, 'test sky': { hex: '#87CEEB', range: [[0, 20]] } }));
+    assert.equal(lookupColor('test sea'), null);
+});
+
+test('neutral colours may give any range', () => {
+    assert.equal(registerColor('test ash', { hex: '#B2B2B0', range: [[20, 40]] }), true);
+});
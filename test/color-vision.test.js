@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deficiencies, simulateColors, simulateDeficiency } from '../server/color-vision.js';
+
+// Expected colours are the Machado, Oliveira & Fernandes (2009) full-severity matrices applied
+// to linear sRGB by hand, e.g. protanopia maps linear red (1, 0, 0) to its first column,
+// (0.152286, 0.114503, -0.003882), clamped and encoded as #6D5F00.
+const machado = {
+    protanopia: ['#FF0000', '#6D5F00'],
+    deuteranopia: ['#00FF00', '#EFD63A'],
+    tritanopia: ['#0000FF', '#006B96']
+};
+
+for (const [deficiency, [hex, expected]] of Object.entries(machado)) {
+    test(`${deficiency} turns ${hex} into ${expected}`, () => {
+        assert.equal(simulateDeficiency(hex, deficiency), expected);
+    });
+}
+
+test('neutral greys are unchanged', () => {
+    for (const deficiency of deficiencies) {
+        assert.equal(simulateDeficiency('#808080', deficiency), '#808080');
+    }
+});
+
+test('unknown deficiencies are refused', () => {
+    assert.throws(() => simulateDeficiency('#FF0000', 'achromatopsia'), /Unknown deficiency/);
+});
+
+test('pairs that collapse under a deficiency are reported', () => {
+    const simulations = simulateColors(['#D62728', '#2CA02C', '#1F77B4']);
+    assert.deepEqual(Object.keys(simulations), deficiencies);
+    assert.deepEqual(simulations.deuteranopia.indistinguishable.map(({ a, b }) => [a, b]), [['#D62728', '#2CA02C']]);
+    assert.deepEqual(simulations.tritanopia.indistinguishable, []);
+});
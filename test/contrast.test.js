@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { apcaContrast, apcaLevel, checkContrast, contrastRatio, suggestPassingVariant } from '../server/contrast.js';
+import { hexToOklch, oklchToHex } from '../server/color-space.js';
+
+test('black and white have the WCAG maximum of 21:1', () => {
+    assert.equal(contrastRatio('#000000', '#FFFFFF'), 21);
+    assert.equal(contrastRatio('#FFFFFF', '#000000'), 21);
+    assert.equal(contrastRatio('#3377CC', '#3377CC'), 1);
+});
+
+test('APCA Lc is positive for dark text on light and negative the other way', () => {
+    assert.ok(Math.abs(apcaContrast('#000000', '#FFFFFF') - 106.04) < 0.01);
+    assert.ok(Math.abs(apcaContrast('#FFFFFF', '#000000') + 107.88) < 0.01);
+    assert.equal(apcaContrast('#777777', '#777777'), 0);
+    assert.equal(apcaLevel(-76.4), 'body');
+    assert.equal(apcaLevel(20), 'fail');
+});
+
+test('the suggested variant is the nearest lightness of the same hue that passes', () => {
+    const background = '#3399FF';
+    assert.ok(contrastRatio(background, '#FFFFFF') < 4.5);
+    const variant = suggestPassingVariant(background, '#FFFFFF', 4.5);
+    assert.ok(contrastRatio(variant, '#FFFFFF') >= 4.5);
+
+    const [lightness, chroma, hue] = hexToOklch(background);
+    const [variantLightness, , variantHue] = hexToOklch(variant);
+    assert.ok(variantLightness < lightness, 'white text needs a darker background');
+    assert.ok(Math.abs(variantHue - hue) < 3, `${variant} keeps the hue of ${background}`);
+    // One step less dark does not pass yet
+    assert.ok(contrastRatio(oklchToHex([variantLightness + 0.005, chroma, hue]), '#FFFFFF') < 4.5);
+
+    assert.equal(suggestPassingVariant('#000000', '#FFFFFF', 7), '#000000');
+});
+
+test('checkContrast reports verdicts and suggestions', () => {
+    const report = checkContrast('#3377CC', '#FFFFFF');
+    assert.equal(report.ratio, 4.51);
+    assert.deepEqual(report.wcag, { aa: true, aaLarge: true, aaa: false, aaaLarge: true });
+    assert.equal(report.suggestions.aa, '#3377CC');
+    assert.ok(contrastRatio(report.suggestions.aaa, '#FFFFFF') >= 7);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatCsv, parseCsv } from '../server/csv.js';
+
+test('quoted fields may hold commas, line breaks and "" escaped quotes', () => {
+    assert.deepEqual(parseCsv('query,lang\n"red, dark",en\n"say ""teal""\nnow",de\n'), [
+        ['query', 'lang'],
+        ['red, dark', 'en'],
+        ['say "teal"\nnow', 'de']
+    ]);
+});
+
+test('CRLF and CR line ends, a byte order mark and blank lines are handled', () => {
+    assert.deepEqual(parseCsv('\uFEFFquery\r\nred\r\n\r\nblue\rgreen'), [['query'], ['red'], ['blue'], ['green']]);
+});
+
+test('empty fields are kept', () => {
+    assert.deepEqual(parseCsv('red,,en\n,'), [['red', '', 'en'], ['', '']]);
+});
+
+test('formatCsv quotes fields that need it and ends lines with CRLF', () => {
+    const csv = formatCsv([{ query: 'red, dark', color: '#8B0000' }, { query: 'say "hi"', color: null }], ['query', 'color']);
+    assert.equal(csv, 'query,color\r\n"red, dark",#8B0000\r\n"say ""hi""",\r\n');
+});
+
+test('formula-like fields are prefixed with an apostrophe', () => {
+    const csv = formatCsv([{ query: '=HYPERLINK("http://x")' }, { query: '+1' }, { query: '-1' }, { query: '@SUM(A1)' }, { query: 'a=b' }], ['query']);
+    assert.deepEqual(parseCsv(csv).slice(1).map(([field]) => field), ['\'=HYPERLINK("http://x")', '\'+1', '\'-1', '\'@SUM(A1)', 'a=b']);
+});
+
+test('formatted CSV parses back to the same fields', () => {
+    const items = [{ query: 'line\nbreak', status: 'ok' }, { query: '"quoted"', status: 'error' }];
+    assert.deepEqual(parseCsv(formatCsv(items, ['query', 'status'])), [['query', 'status'], ['line\nbreak', 'ok'], ['"quoted"', 'error']]);
+});
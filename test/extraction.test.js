@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { extractionKey, extractPixels } from '../server/extraction.js';
+import { deltaE2000Hex } from '../server/color-space.js';
+import { fixtureImageDir } from './helpers/server.js';
+
+// counter.png is a #F4D41C banana on a #8C5C2C counter that fills most of the image
+const counter = await fs.readFile(path.join(fixtureImageDir, 'banana', 'counter.png'));
+
+// Helper: Shares of the pixels close to the banana and to the counter
+function shares(pixels) {
+    const hex = (pixel) => `#${pixel.map((value) => value.toString(16).padStart(2, '0')).join('')}`;
+    const near = (target, limit) => pixels.filter((pixel) => deltaE2000Hex(hex(pixel), target) < limit).length / pixels.length;
+    return { banana: near('#F4D41C', 10), counter: near('#8C5C2C', 15) };
+}
+
+test('whole mode samples the counter along with the banana', async () => {
+    const { pixels, mode } = await extractPixels(counter, { mode: 'whole' });
+    assert.equal(mode, 'whole');
+    assert.ok(shares(pixels).counter > 0.8);
+});
+
+test('subject mode drops the counter background', async () => {
+    const { pixels, mode } = await extractPixels(counter, { mode: 'subject' });
+    assert.equal(mode, 'subject');
+    const { banana, counter: background } = shares(pixels);
+    assert.ok(banana > 0.9, `${banana} of the pixels are banana`);
+    assert.ok(background < 0.02, `${background} of the pixels are counter`);
+});
+
+test('subject mode samples the whole image when there is no subject', async () => {
+    const plain = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#8C5C2C' } }).png().toBuffer();
+    const { pixels, mode } = await extractPixels(plain, { mode: 'subject' });
+    assert.equal(mode, 'whole');
+    assert.ok(pixels.length > 0);
+});
+
+test('extraction keys name the mode and skin exclusion', () => {
+    assert.equal(extractionKey({ mode: 'whole', excludeSkin: false }), 'whole');
+    assert.equal(extractionKey({ mode: 'subject', excludeSkin: true }), 'subject+noskin');
+});
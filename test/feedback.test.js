@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFeedbackRecord, findLearnedColor } from '../server/feedback.js';
+
+const now = Date.UTC(2026, 0, 1);
+
+// Helper: Three likes of a colour for a query, enough for a learned colour
+function likes(query, color) {
+    return [0, 1, 2].map((i) => createFeedbackRecord({ query, color, rating: 'like' }, now - i * 1000));
+}
+
+test('short queries only match exactly', () => {
+    const records = [...likes('car', '#C0C0C0'), ...likes('bed', '#FFFFFF')];
+    assert.equal(findLearnedColor(records, 'cat', { now }), null);
+    assert.equal(findLearnedColor(records, 'red', { now }), null);
+    assert.equal(findLearnedColor(records, 'car', { now }).color, '#C0C0C0');
+});
+
+test('longer queries forgive one typo per five characters', () => {
+    const records = [...likes('turquoise', '#40E0D0'), ...likes('ocean blue sky', '#3A7BD5')];
+    const learned = findLearnedColor(records, 'turqoise', { now });
+    assert.equal(learned.color, '#40E0D0');
+    assert.equal(learned.matchedQuery, 'turquoise');
+    assert.equal(findLearnedColor(records, 'turqoiss', { now }), null);
+    assert.equal(findLearnedColor(records, 'ocaen blue sky', { now }).matchedQuery, 'ocean blue sky');
+});
+
+test('reordered words match at any length', () => {
+    assert.equal(findLearnedColor(likes('sky blue', '#87CEEB'), 'blue sky', { now }).color, '#87CEEB');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateHarmony, generateHarmonies, harmonySchemes } from '../server/harmony.js';
+import { hexToOklch } from '../server/color-space.js';
+
+const base = '#3377CC';
+const [baseLightness, , baseHue] = hexToOklch(base);
+
+// Hue offset of each member from the base, in the order returned
+const expectedOffsets = {
+    complementary: [0, 180],
+    analogous: [-30, 0, 30],
+    triadic: [0, 120, 240],
+    'split-complementary': [0, 150, 210],
+    tetradic: [0, 60, 180, 240]
+};
+
+// Helper: How far a colour's hue is from the base's rotated by offset, in degrees
+function hueError(hex, offset = 0) {
+    return Math.abs(((hexToOklch(hex)[2] - baseHue - offset) % 360 + 540) % 360 - 180);
+}
+
+for (const [scheme, offsets] of Object.entries(expectedOffsets)) {
+    test(`${scheme} rotates the hue by ${offsets.join(', ')} degrees at the base's lightness`, () => {
+        const colors = generateHarmony(base, scheme);
+        assert.equal(colors.length, offsets.length);
+        assert.equal(colors[offsets.indexOf(0)], base);
+        colors.forEach((hex, index) => {
+            assert.ok(hueError(hex, offsets[index]) < 2, `${hex} is ${offsets[index]} degrees from ${base}`);
+            assert.ok(Math.abs(hexToOklch(hex)[0] - baseLightness) < 0.01, `${hex} keeps the lightness`);
+        });
+    });
+}
+
+test('monochromatic steps the lightness from dark to light at the base\'s hue', () => {
+    const colors = generateHarmony(base, 'monochromatic');
+    assert.equal(colors.length, 5);
+    assert.equal(colors[2], base);
+    for (let index = 1; index < colors.length; index++) {
+        assert.ok(hexToOklch(colors[index])[0] > hexToOklch(colors[index - 1])[0]);
+        assert.ok(hueError(colors[index]) < 2);
+    }
+});
+
+test('every scheme is generated, and unknown ones are refused', () => {
+    assert.deepEqual(Object.keys(generateHarmonies(base)), harmonySchemes);
+    assert.throws(() => generateHarmony(base, 'pentadic'), /Unknown harmony scheme/);
+});
+
+test('members constrained onto each other are listed once', () => {
+    assert.deepEqual(generateHarmony(base, 'tetradic', { constrain: () => base }), [base]);
+});
@@ -0,0 +1,64 @@
+// Checks response bodies against the OpenAPI 3.0 document served at /api/v1/openapi.json. Covers
+// the schema keywords server/openapi.js uses: $ref, type, nullable, required, properties,
+// additionalProperties, items, enum, oneOf, minimum, maximum, maxLength, pattern and date formats.
+
+// Helper: Follow a local $ref ("#/components/schemas/Name")
+function resolveRef(document, schema) {
+    if (!schema.$ref) return schema;
+    return schema.$ref.slice(2).split('/').reduce((node, key) => node[key], document);
+}
+
+function hasType(type, value) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+// Problems with `value` as "path: message" strings; empty when it matches the schema
+export function schemaErrors(document, schema, value, at = 'body') {
+    schema = resolveRef(document, schema);
+    if (value === null) return schema.nullable ? [] : [`${at}: is null`];
+    if (value === undefined) return [`${at}: is missing`];
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter((option) => schemaErrors(document, option, value, at).length === 0).length;
+        return matches === 1 ? [] : [`${at}: matches ${matches} of its oneOf schemas`];
+    }
+    if (schema.type && !hasType(schema.type, value)) return [`${at}: expected ${schema.type}, got ${JSON.stringify(value)}`];
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+    if (typeof value === 'string') {
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: "${value}" does not match ${schema.pattern}`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength}`);
+        if (schema.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) errors.push(`${at}: "${value}" is not a date`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: ${value} is below ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: ${value} is above ${schema.maximum}`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...schemaErrors(document, schema.items, item, `${at}[${index}]`)));
+    }
+    if (schema.type === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) errors.push(`${at}.${field}: is required`);
+        }
+        for (const [field, item] of Object.entries(value)) {
+            const property = schema.properties?.[field]
+                ?? (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+            if (property) errors.push(...schemaErrors(document, property, item, `${at}.${field}`));
+        }
+    }
+    return errors;
+}
+
+// The schema of one documented response, e.g. responseSchema(document, '/generate', 'post', 200)
+export function responseSchema(document, route, method, status, contentType = 'application/json') {
+    const response = document.paths[route]?.[method]?.responses?.[status];
+    if (!response) throw new Error(`No ${status} response documented for ${method.toUpperCase()} ${route}`);
+    return response.content[contentType].schema;
+}
@@ -0,0 +1,80 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+export const adminToken = 'test-admin-token';
+// Fixture images for the local provider: a folder per query (banana, ocean-blue)
+export const fixtureImageDir = path.join(rootDir, 'test', 'fixtures', 'images');
+const startTimeoutMs = 15000;
+
+// Helper: A port nothing is listening on
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Start server/server.js offline: images come from the local provider only, there is no vision
+// model, and db.json lives in a temporary directory. `env` adds to or overrides that setup.
+// Returns { url, request(path, init), stop() }; requests carry the server's own Origin, as the app's do.
+export async function startServer(env = {}) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'colour-gen-test-'));
+    const port = await freePort();
+    const url = `http://127.0.0.1:${port}`;
+    const child = spawn(process.execPath, [path.join(rootDir, 'server', 'server.js')], {
+        cwd: rootDir,
+        env: {
+            ...process.env,
+            DOTENV_CONFIG_PATH: path.join(dataDir, '.env'),
+            DB_FILE: path.join(dataDir, 'db.json'),
+            PORT: String(port),
+            IMAGE_SEARCH_PROVIDERS: 'local',
+            LOCAL_IMAGE_DIR: dataDir,
+            VISION_PROVIDER: 'none',
+            ADMIN_TOKEN: adminToken,
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    // The server logs every request; the output is kept for failures to start
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    const exited = new Promise((resolve) => child.once('exit', resolve));
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start within ${startTimeoutMs} ms:\n${output}`)), startTimeoutMs);
+        child.stdout.on('data', () => {
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        exited.then((code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        url,
+        request(requestPath, init = {}) {
+            return fetch(`${url}${requestPath}`, { ...init, headers: { Origin: url, ...init.headers } });
+        },
+        async stop() {
+            if (child.exitCode === null) child.kill();
+            await exited;
+            await fs.rm(dataDir, { recursive: true, force: true });
+        }
+    };
+}
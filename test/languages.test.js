@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findColorNamesInText, loadDictionariesFromEnv, lookupColor } from '../server/color-names.js';
+import { parseColorQuery, parseMultiColorQuery } from '../server/query-parser.js';
+
+// English queries, several with words that some language uses as a colour ("golden", "rosa",
+// "noir", "violets"). Language dictionaries must not change how any of them parse.
+const englishQueries = [
+    'golden retriever',
+    'golden hour sunset',
+    'rosa parks portrait',
+    'rose petals',
+    'violets in spring',
+    'film noir poster',
+    'petrol station at night',
+    'red or blue',
+    'lime green',
+    'olive oil',
+    'marine life',
+    'cafe latte',
+    'bordeaux wine',
+    'orange juice',
+    'mint tea',
+    'coral reef',
+    'navy and gold uniform',
+    'dark red to light blue',
+    'sky blue',
+    'ocean'
+];
+
+// Helper: Everything the generator reads from a query without a `lang`
+function parseAll(query) {
+    return {
+        names: findColorNamesInText(query),
+        parsed: parseColorQuery(query),
+        multiColor: parseMultiColorQuery(query)
+    };
+}
+
+test('language dictionaries leave English queries unchanged', async () => {
+    const baseline = englishQueries.map(parseAll);
+    await loadDictionariesFromEnv({});
+    englishQueries.forEach((query, index) => {
+        assert.deepEqual(parseAll(query), baseline[index], `"${query}" parses differently with the language dictionaries`);
+    });
+});
+
+test('unambiguous words are found without a lang, ambiguous ones only with theirs', async () => {
+    assert.equal(lookupColor('žalia').translates, 'green');
+    assert.equal(lookupColor('zalia').translates, 'green');
+    assert.equal(lookupColor('grün').translates, 'green');
+    for (const [word, lang, name] of [['golden', 'de', 'gold'], ['rosa', 'es', 'pink'], ['rosa', 'de', 'pink'], ['rose', 'fr', 'pink'], ['noir', 'fr', 'black']]) {
+        assert.equal(lookupColor(word), null, `"${word}" is not a colour without a lang`);
+        assert.equal(lookupColor(word, { lang }).translates, name, `"${word}" is ${name} in ${lang}`);
+    }
+    assert.equal(lookupColor('violet').name, 'violet');
+    assert.equal(lookupColor('violet', { lang: 'fr' }).translates, 'purple');
+});
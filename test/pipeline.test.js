@@ -0,0 +1,104 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProviderFromEnv } from '../server/image-search.js';
+import { analyzeColorFromQuery, analyzePaletteFromQuery } from '../server/image-analysis.js';
+import { hexToHsl } from '../server/color-space.js';
+import { fixtureImageDir, startServer } from './helpers/server.js';
+import { responseSchema, schemaErrors } from './helpers/openapi-schema.js';
+
+// The image pipeline offline: the local provider (IMAGE_SEARCH_PROVIDERS=local) finds the
+// fixture images, and without a vision model their pixels are analysed. Nothing is fetched.
+
+const provider = createProviderFromEnv({ IMAGE_SEARCH_PROVIDERS: 'local', LOCAL_IMAGE_DIR: fixtureImageDir });
+const subject = { mode: 'subject', excludeSkin: false };
+
+// Helper: The fixtures' banana is a saturated yellow, hue about 50°
+function isBananaYellow(hex) {
+    const [hue, saturation, lightness] = hexToHsl(hex);
+    return hue >= 40 && hue <= 60 && saturation > 60 && lightness > 40;
+}
+
+describe('local image provider', () => {
+    test('finds a query\'s folder as file URLs', async () => {
+        const urls = await provider.search('banana');
+        assert.equal(urls.length, 2);
+        assert.ok(urls.every((url) => url.startsWith('file:') && url.includes('/banana/')));
+    });
+
+    test('matches folder names by words', async () => {
+        assert.deepEqual((await provider.search('Ocean Blue')).map((url) => url.split('/').pop()), ['wave.png']);
+        assert.deepEqual(await provider.search('deep ocean'), await provider.search('ocean blue'));
+    });
+
+    test('finds nothing for unknown queries', async () => {
+        assert.deepEqual(await provider.search('kiwi'), []);
+    });
+});
+
+describe('image analysis', () => {
+    test('votes the subject\'s colour when extracting subjects', async () => {
+        const result = await analyzeColorFromQuery('banana', { provider, visionProvider: null, extraction: subject });
+        assert.ok(isBananaYellow(result.candidates[0]), `${result.candidates[0]} is banana yellow`);
+        assert.equal(result.modes[result.candidates[0]], 'subject');
+        assert.equal(result.weights[result.candidates[0]], 2);
+    });
+
+    test('pools a ranked palette', async () => {
+        const palette = await analyzePaletteFromQuery('ocean blue', { provider, size: 4 });
+        assert.equal(palette.imagesAnalyzed, 1);
+        assert.ok(palette.colors.length >= 3 && palette.colors.length <= 4);
+        const [top] = palette.colors;
+        const [hue] = hexToHsl(top.color);
+        assert.ok(hue > 190 && hue < 230, `${top.color} is blue`);
+        for (let index = 1; index < palette.colors.length; index++) {
+            assert.ok(palette.colors[index - 1].share >= palette.colors[index].share);
+        }
+    });
+
+    test('returns null without images', async () => {
+        assert.equal(await analyzeColorFromQuery('kiwi', { provider, visionProvider: null }), null);
+    });
+});
+
+describe('server with the local provider', () => {
+    let server;
+    let document;
+
+    before(async () => {
+        server = await startServer({ LOCAL_IMAGE_DIR: fixtureImageDir });
+        document = await (await server.request('/api/v1/openapi.json')).json();
+    });
+
+    after(async () => {
+        await server?.stop();
+    });
+
+    function post(path, body) {
+        return server.request(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    }
+
+    test('generates an analysed colour with its palette', async () => {
+        const response = await post('/api/v1/generate', { query: 'banana', extraction: 'subject' });
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        assert.deepEqual(schemaErrors(document, responseSchema(document, '/generate', 'post', 200), body), []);
+        assert.equal(body.source, 'analyzed_candidate');
+        assert.equal(body.extraction, 'subject');
+        assert.ok(isBananaYellow(body.color), `${body.color} is banana yellow`);
+        assert.deepEqual(body.palette.map((entry) => entry.color), [body.color]);
+    });
+
+    test('answers 502 when no image matches', async () => {
+        const response = await post('/api/v1/generate', { query: 'kiwi' });
+        assert.equal(response.status, 502);
+        assert.deepEqual(schemaErrors(document, responseSchema(document, '/generate', 'post', 502), await response.json()), []);
+    });
+
+    test('builds a palette', async () => {
+        const response = await post('/api/v1/palette', { query: 'ocean blue', size: 3 });
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        assert.deepEqual(schemaErrors(document, responseSchema(document, '/palette', 'post', 200), body), []);
+        assert.equal(body.colors.length, 3);
+    });
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeModifiers, parseMultiColorQuery } from '../server/query-parser.js';
+
+test('terms of one part get their own copies of its modifiers', () => {
+    const { terms } = parseMultiColorQuery('dark red blue and green');
+    assert.deepEqual(terms.map((term) => term.name), ['red', 'blue', 'green']);
+    assert.deepEqual(terms[0].modifiers, terms[1].modifiers);
+    assert.notEqual(terms[0].modifiers, terms[1].modifiers);
+
+    terms[0].modifiers[0].amount = 0;
+    terms[0].modifiers.push({ phrase: 'pastel' });
+    assert.equal(terms[1].modifiers[0].amount, -0.12);
+    assert.equal(terms[1].modifiers.length, 1);
+    assert.deepEqual(terms[2].modifiers, []);
+});
+
+test('merged modifiers list each distinct modifier once, in order', () => {
+    const { terms } = parseMultiColorQuery('dark red blue and pastel green');
+    assert.deepEqual(mergeModifiers(terms.map((term) => term.modifiers)).map((modifier) => modifier.phrase), ['dark', 'pastel']);
+});
@@ -0,0 +1,75 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, rateLimitOptionsFromEnv } from '../server/rate-limit.js';
+import { startServer } from './helpers/server.js';
+
+describe('token buckets', () => {
+    test('a full bucket is spent and then refused', () => {
+        const limiter = createRateLimiter({ capacity: 3, windowMs: 60000 });
+        assert.deepEqual([1, 2, 3].map(() => limiter.take('a', 1, 0).remaining), [2, 1, 0]);
+        const refused = limiter.take('a', 1, 0);
+        assert.equal(refused.allowed, false);
+        assert.equal(refused.retryAfterSeconds, 20, 'one token refills in a third of the window');
+        assert.equal(limiter.take('b', 1, 0).allowed, true, 'each key has its own bucket');
+    });
+
+    test('tokens refill continuously up to the capacity', () => {
+        const limiter = createRateLimiter({ capacity: 3, windowMs: 60000 });
+        limiter.take('a', 3, 0);
+        assert.equal(limiter.take('a', 1, 19999).allowed, false);
+        assert.equal(limiter.take('a', 1, 20000).allowed, true);
+        assert.equal(limiter.take('a', 1, 10 * 60000).remaining, 2, 'a long pause refills no more than the capacity');
+    });
+
+    test('a cost above the capacity is never allowed', () => {
+        const limiter = createRateLimiter({ capacity: 3, windowMs: 60000 });
+        const refused = limiter.take('a', 5, 0);
+        assert.equal(refused.allowed, false);
+        assert.equal(refused.remaining, 3, 'nothing is taken');
+    });
+
+    test('full buckets are dropped once too many keys are tracked', () => {
+        const limiter = createRateLimiter({ capacity: 2, windowMs: 1000, maxKeys: 2 });
+        limiter.take('a', 1, 0);
+        limiter.take('b', 1, 0);
+        limiter.take('c', 1, 5000);
+        assert.equal(limiter.stats().clients, 1);
+    });
+
+    test('limits come from the environment, and 0 turns one off', () => {
+        const options = rateLimitOptionsFromEnv({ RATE_LIMIT_GENERATE_PER_MINUTE: '0', RATE_LIMIT_API_PER_MINUTE: 'many' });
+        assert.equal(options.generate.capacity, 0);
+        assert.equal(options.api.capacity, 120);
+        assert.equal(options.batch.windowMs, 60 * 60 * 1000);
+    });
+});
+
+describe('rate-limited routes', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ RATE_LIMIT_GENERATE_PER_MINUTE: '2' });
+    });
+
+    after(async () => {
+        await server?.stop();
+    });
+
+    test('answer 429 with Retry-After once the bucket is empty', async () => {
+        const generate = () => server.request('/api/generate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query: 'red' })
+        });
+        const first = await generate();
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('ratelimit-policy'), '2;w=60');
+        assert.equal(first.headers.get('ratelimit-remaining'), '1');
+        assert.equal((await generate()).status, 200);
+
+        const refused = await generate();
+        assert.equal(refused.status, 429);
+        assert.equal(refused.headers.get('retry-after'), '30');
+        assert.match((await refused.json()).error, /Too many requests, retry in 30 seconds/);
+    });
+});
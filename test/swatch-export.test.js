@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSwatchExport } from '../swatch-export.js';
+
+// Helper: The names of an ASE file's blocks, decoded from their UTF-16BE code units
+async function readAseNames(blob) {
+    const view = new DataView(await blob.arrayBuffer());
+    const names = [];
+    let offset = 12;
+    while (offset < view.byteLength) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        if (type !== 0xC002) {
+            const units = view.getUint16(offset + 6);
+            const codes = [];
+            for (let i = 0; i < units - 1; i++) codes.push(view.getUint16(offset + 8 + i * 2));
+            assert.equal(view.getUint16(offset + 8 + (units - 1) * 2), 0, 'names end with a null unit');
+            names.push(String.fromCharCode(...codes));
+        }
+        offset += 6 + length;
+    }
+    return names;
+}
+
+test('ASE names outside the BMP are written as surrogate pairs', async () => {
+    const { blob } = await buildSwatchExport('ase', 'Jūra 🌊', [
+        { hex: '#1E5A8C', name: 'jūra 🌊' },
+        { hex: '#F4D41C', name: '🍌' }
+    ]);
+    assert.deepEqual(await readAseNames(blob), ['Jūra 🌊', 'jūra 🌊', '🍌']);
+});
+
+test('CSS names and filenames keep accented letters without their accents', async () => {
+    const { blob, filename } = await buildSwatchExport('css', 'Žalia jūra', [
+        { hex: '#2E8B57', name: 'žalia' },
+        { hex: '#1E5A8C', name: 'Crème brûlée' }
+    ]);
+    const css = await blob.text();
+    assert.match(css, /--zalia: #2E8B57;/);
+    assert.match(css, /--creme-brulee: #1E5A8C;/);
+    assert.equal(filename, 'palette-zalia-jura.css');
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toJsonSchema, validate } from '../server/validation.js';
+import { generateRequestSchema, maxQueryLength, maxStep } from '../server/generator.js';
+
+test('a generation request is trimmed and stripped of unknown fields', () => {
+    assert.deepEqual(validate(generateRequestSchema, { query: '  red  ', previousColor: 'f00', step: 2, admin: true }), {
+        value: { query: 'red', previousColor: '#FF0000', step: 2 }
+    });
+});
+
+test('step is capped at maxStep', () => {
+    assert.equal(maxStep, 50);
+    assert.deepEqual(validate(generateRequestSchema, { query: 'red', step: maxStep }).value.step, maxStep);
+    assert.deepEqual(validate(generateRequestSchema, { query: 'red', step: maxStep + 1 }), { error: 'step must be an integer from 0 to 50', status: 400 });
+    assert.equal(validate(generateRequestSchema, { query: 'red', step: 1.5 }).status, 400);
+    assert.equal(validate(generateRequestSchema, { query: 'red', step: -1 }).status, 400);
+});
+
+test('query is required and capped at maxQueryLength characters', () => {
+    assert.deepEqual(validate(generateRequestSchema, {}), { error: 'Missing query', status: 400 });
+    assert.deepEqual(validate(generateRequestSchema, { query: '   ' }), { error: 'Empty query', status: 400 });
+    assert.ok(validate(generateRequestSchema, { query: 'x'.repeat(maxQueryLength) }).value);
+    assert.deepEqual(validate(generateRequestSchema, { query: 'x'.repeat(maxQueryLength + 1) }), { error: 'query is longer than 200 characters', status: 400 });
+});
+
+test('coerce accepts the string forms of numbers and booleans', () => {
+    const fields = { query: 'red', step: '3', excludeSkin: 'true', lang: '' };
+    assert.equal(validate(generateRequestSchema, fields).status, 400);
+    assert.deepEqual(validate(generateRequestSchema, fields, { coerce: true }), { value: { query: 'red', step: 3, excludeSkin: true } });
+});
+
+test('oversized arrays answer 413', () => {
+    assert.deepEqual(validate({ queries: { type: 'array', maxItems: 2 } }, { queries: [1, 2, 3] }), { error: 'At most 2 queries, got 3', status: 413 });
+});
+
+test('the JSON Schema carries the same limits', () => {
+    const schema = toJsonSchema(generateRequestSchema);
+    assert.deepEqual(schema.required, ['query']);
+    assert.equal(schema.properties.query.maxLength, maxQueryLength);
+    assert.deepEqual([schema.properties.step.minimum, schema.properties.step.maximum], [0, maxStep]);
+});
@@ -0,0 +1,43 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createGeminiProvider, createOllamaProvider, createOpenAIProvider } from '../server/vision-providers.js';
+
+// A stand-in model server that answers /slow/* after a second and everything else at once
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const answer = () => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ choices: [{ message: { content: '{"colors": ["#ffd700", "blue"]}' } }] }));
+        };
+        if (req.url.startsWith('/slow')) setTimeout(answer, 1000);
+        else answer();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+const input = { prompt: 'colours?', base64: 'AA==', contentType: 'image/png' };
+
+test('answers are parsed into { colors }', async () => {
+    const provider = createOpenAIProvider({ baseUrl });
+    assert.deepEqual(await provider.analyze(input), { colors: ['#FFD700'] });
+});
+
+test('a model call slower than timeoutMs is abandoned', async () => {
+    const provider = createOllamaProvider({ baseUrl: `${baseUrl}/slow`, timeoutMs: 100 });
+    await assert.rejects(provider.analyze(input), /Ollama API timed out after 100 ms/);
+});
+
+test('a slow Gemini model list leaves no model to call', async () => {
+    const provider = createGeminiProvider({ apiKey: 'test', baseUrl: `${baseUrl}/slow`, timeoutMs: 100 });
+    assert.equal(await provider.analyze(input), null);
+});
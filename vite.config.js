@@ -5,7 +5,8 @@ export default defineConfig({
         proxy: {
             '/api': {
                 target: 'http://localhost:3001',
-                changeOrigin: true,
+                // Keep the page's Host, so the API sees its requests as same-origin
+                changeOrigin: false,
                 secure: false,
             }
         }